@@ -0,0 +1,29 @@
+/******************************************************************************
+ * adminUtils.js
+ *
+ * Site administrators are listed in ADMIN_EMAILS (comma-separated) in .env.
+ * There is no admin UI for managing admins; they log in with OTP like
+ * everyone else.
+ ******************************************************************************/
+
+/**
+ * getAdminEmails(): lower-cased addresses from ADMIN_EMAILS.
+ */
+function getAdminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * isAdmin(email)
+ */
+function isAdmin(email) {
+  return !!email && getAdminEmails().includes(String(email).toLowerCase());
+}
+
+module.exports = {
+  getAdminEmails,
+  isAdmin
+};
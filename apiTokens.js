@@ -0,0 +1,108 @@
+/******************************************************************************
+ * apiTokens.js
+ *
+ * Personal API tokens for the REST API (/api/v1, see routes/apiRoutes.js).
+ * A user creates, names, scopes and revokes their tokens in /panel.
+ *
+ * Only a SHA-256 hash of each token is stored; the token itself is shown
+ * once when created. A short prefix is kept in the clear so the user can
+ * tell their tokens apart. Every successful use updates last_used_at.
+ ******************************************************************************/
+const crypto = require('crypto');
+const { encrypt, decrypt, hashToken } = require('./cryptoUtils');
+
+const TOKEN_PREFIX = 'pwc_';
+
+// What a token may be used for
+const API_SCOPES = [
+  { key: 'scans:run', label: 'Run scans' },
+  { key: 'results:read', label: 'Read scan status and results' }
+];
+
+/**
+ * listApiTokens(db, email):
+ *   [{ id, name, scopes[], tokenPrefix, createdAt, lastUsedAt }], newest first.
+ */
+function listApiTokens(db, email) {
+  return db.prepare('SELECT * FROM api_tokens WHERE user_email = ? ORDER BY id DESC')
+    .all(email)
+    .map(row => ({
+      id: row.id,
+      name: decrypt(row.name),
+      scopes: JSON.parse(row.scopes || '[]'),
+      tokenPrefix: row.token_prefix,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at
+    }));
+}
+
+/**
+ * validateApiToken(fields):
+ *   fields = { name, scopes[] } from the panel form. Returns { fields, error }.
+ */
+function validateApiToken(fields) {
+  const name = String(fields.name || '').trim().substring(0, 100);
+  const known = API_SCOPES.map(scope => scope.key);
+  const scopes = known.filter(key => (fields.scopes || []).includes(key));
+
+  let error = null;
+  if (!name) {
+    error = 'Give the token a name, e.g. what will use it.';
+  } else if (!scopes.length) {
+    error = 'Choose at least one scope.';
+  }
+  return { fields: { name, scopes }, error };
+}
+
+/**
+ * createApiToken(db, email, fields):
+ *   fields = { name, scopes[] } (validated). Returns { id, token }; the
+ *   token can't be recovered later.
+ */
+function createApiToken(db, email, fields) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const info = db.prepare(`
+    INSERT INTO api_tokens (user_email, name, scopes, token_hash, token_prefix, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    email,
+    encrypt(fields.name),
+    JSON.stringify(fields.scopes),
+    hashToken(token),
+    token.substring(0, TOKEN_PREFIX.length + 6),
+    new Date().toISOString()
+  );
+  return { id: info.lastInsertRowid, token };
+}
+
+/**
+ * revokeApiToken(db, email, id)
+ */
+function revokeApiToken(db, email, id) {
+  db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_email = ?').run(id, email);
+}
+
+/**
+ * authenticateApiToken(db, token):
+ *   { id, email, scopes[] } for a valid token (and records the use), or null.
+ */
+function authenticateApiToken(db, token) {
+  if (!String(token || '').startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  const row = db.prepare('SELECT id, user_email, scopes FROM api_tokens WHERE token_hash = ?').get(hashToken(token));
+  if (!row) {
+    return null;
+  }
+  db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+  return { id: row.id, email: row.user_email, scopes: JSON.parse(row.scopes || '[]') };
+}
+
+module.exports = {
+  API_SCOPES,
+  listApiTokens,
+  validateApiToken,
+  createApiToken,
+  revokeApiToken,
+  authenticateApiToken
+};
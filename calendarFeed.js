@@ -0,0 +1,59 @@
+/******************************************************************************
+ * calendarFeed.js
+ *
+ * Per-user secret calendar subscription URL (/calendar/<token>.ics) serving
+ * the warranty expirations from the user's latest stored scan (so it needs
+ * scan history enabled). The URL works without logging in, so only a
+ * SHA-256 hash of the token is stored; the URL is shown once when created.
+ * Creating a new URL, or revoking it from /panel, stops the old one working.
+ ******************************************************************************/
+const crypto = require('crypto');
+const { hashToken } = require('./cryptoUtils');
+
+/**
+ * getCalendarFeedInfo(db, email): { active, createdAt }
+ */
+function getCalendarFeedInfo(db, email) {
+  const row = db.prepare('SELECT calendar_token, calendar_token_created_at FROM users WHERE email = ?').get(email);
+  return {
+    active: !!(row && row.calendar_token),
+    createdAt: row ? row.calendar_token_created_at : null
+  };
+}
+
+/**
+ * createCalendarToken(db, email):
+ *   A new random token for the user, replacing any previous one. Returns
+ *   the token itself; it can't be recovered later.
+ */
+function createCalendarToken(db, email) {
+  const token = crypto.randomBytes(24).toString('hex');
+  db.prepare('UPDATE users SET calendar_token = ?, calendar_token_created_at = ? WHERE email = ?')
+    .run(hashToken(token), new Date().toISOString(), email);
+  return token;
+}
+
+/**
+ * revokeCalendarToken(db, email)
+ */
+function revokeCalendarToken(db, email) {
+  db.prepare('UPDATE users SET calendar_token = NULL, calendar_token_created_at = NULL WHERE email = ?').run(email);
+}
+
+/**
+ * findCalendarUser(db, token): the email the token belongs to, or null.
+ */
+function findCalendarUser(db, token) {
+  if (!/^[0-9a-f]{48}$/.test(String(token || ''))) {
+    return null;
+  }
+  const row = db.prepare('SELECT email FROM users WHERE calendar_token = ?').get(hashToken(token));
+  return row ? row.email : null;
+}
+
+module.exports = {
+  getCalendarFeedInfo,
+  createCalendarToken,
+  revokeCalendarToken,
+  findCalendarUser
+};
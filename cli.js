@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/******************************************************************************
+ * cli.js
+ *
+ * Headless warranty scan for cron jobs and monitoring, without the web UI or
+ * its database. Runs the same scan as the web page (peplinkCheck.js) and
+ * writes the result as CSV, JSON (the versioned result schema) or a plain
+ * text table, to stdout or a file.
+ *
+ * Credentials come from PEPLINK_CLIENT_ID / PEPLINK_CLIENT_SECRET (and
+ * optionally PEPLINK_API_BASE_URL), in the environment or .env, or from a
+ * JSON file given with --credentials:
+ *   { "client_id": "...", "client_secret": "...", "api_base_url": "..." }
+ * or an array of those (each may have a "name") to scan several Peplink IDs.
+ * --record / --replay save or replay the InControl2 responses (see
+ * incontrolFixtures.js); replaying needs no credentials unless the fixture
+ * was recorded with several.
+ *
+ * Exit codes, so a monitoring check can act on the result:
+ *   0 - no devices expired or expiring within the window
+ *   1 - devices expiring within the window, none expired
+ *   2 - at least one device has expired
+ *   3 - the scan could not run (bad arguments, credentials or connection),
+ *       or was incomplete: some organizations or credentials could not be
+ *       scanned, or an --org ID was not found
+ * An incomplete scan still writes what it found, but exits 3 so a monitoring
+ * check doesn't read a partial result as "nothing due". --quiet silences
+ * everything on stderr except the reason a scan failed outright.
+ ******************************************************************************/
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { DEFAULT_WINDOW_DAYS, runProfilesCheck } = require('./peplinkCheck');
+const { ALL_COLUMNS, resolveColumns, toCsv, toTextTable, toResultJson } = require('./resultFormats');
+const { configureFixtures, getFixtureSettings, flushFixtures } = require('./incontrolFixtures');
+
+const EXIT_OK = 0;
+const EXIT_IN_WINDOW = 1;
+const EXIT_EXPIRED = 2;
+const EXIT_ERROR = 3;
+
+const FORMATS = ['table', 'csv', 'json'];
+
+const USAGE = `Usage: peplink-warranty-check [options]
+
+Scans the Peplink devices your InControl2 credentials can see and reports
+warranties that have expired or expire within the window.
+
+Options:
+  -c, --credentials <file>  JSON credentials file (default: PEPLINK_CLIENT_ID
+                            and PEPLINK_CLIENT_SECRET from the environment)
+  -w, --window <days>       expiry window in days (default ${DEFAULT_WINDOW_DAYS})
+  -a, --all                 list every device, not just those in the window
+  -o, --org <id>            only scan this organization ID (repeatable)
+  -f, --format <format>     ${FORMATS.join(', ')} (default table)
+      --columns <keys>      comma-separated columns for csv and table:
+                            ${ALL_COLUMNS.map(col => col.key).join(', ')}
+  -O, --output <file>       write to a file instead of stdout
+      --record <file>       also save the InControl2 responses to a fixture file
+      --replay <file>       answer from a fixture file instead of InControl2
+  -q, --quiet               nothing on stderr unless the scan fails
+  -h, --help                show this help
+
+Exit codes: 0 nothing due, 1 devices within the window, 2 devices expired,
+3 the scan failed or some organizations could not be scanned or found.`;
+
+/**
+ * UsageError: bad command-line arguments or credentials file.
+ */
+class UsageError extends Error {}
+
+/**
+ * loadProfiles(file):
+ *   Credential profiles for runProfilesCheck(), from a JSON file or, with no
+ *   file, from the environment. Throws UsageError if none are usable.
+ */
+function loadProfiles(file) {
+  let entries;
+  if (file) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new UsageError(`Could not read credentials from ${file}: ${err.message}`);
+    }
+    entries = [].concat(parsed);
+  } else if (getFixtureSettings().mode === 'replay' && !process.env.PEPLINK_CLIENT_ID) {
+    // A fixture recorded with one set of credentials answers for any
+    entries = [{ client_id: 'replay', client_secret: 'replay' }];
+  } else {
+    entries = [{
+      client_id: process.env.PEPLINK_CLIENT_ID,
+      client_secret: process.env.PEPLINK_CLIENT_SECRET,
+      api_base_url: process.env.PEPLINK_API_BASE_URL
+    }];
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry || !entry.client_id || !entry.client_secret) {
+      throw new UsageError(file
+        ? `Credentials entry ${index + 1} in ${file} needs a client_id and client_secret.`
+        : 'Set PEPLINK_CLIENT_ID and PEPLINK_CLIENT_SECRET, or use --credentials <file>.');
+    }
+    return {
+      id: index + 1,
+      name: String(entry.name || (entries.length > 1 ? `Profile ${index + 1}` : 'InControl2')),
+      clientId: String(entry.client_id),
+      clientSecret: String(entry.client_secret),
+      apiBaseUrl: entry.api_base_url || ''
+    };
+  });
+}
+
+/**
+ * parseOptions(argv):
+ *   Command-line arguments => { help, profiles, orgIds, scanOptions, format,
+ *   columns, output, quiet }. Throws UsageError for anything invalid.
+ */
+function parseOptions(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        credentials: { type: 'string', short: 'c' },
+        window: { type: 'string', short: 'w' },
+        all: { type: 'boolean', short: 'a', default: false },
+        org: { type: 'string', short: 'o', multiple: true },
+        format: { type: 'string', short: 'f', default: 'table' },
+        columns: { type: 'string' },
+        output: { type: 'string', short: 'O' },
+        record: { type: 'string' },
+        replay: { type: 'string' },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (values.window !== undefined && !/^[1-9]\d*$/.test(values.window)) {
+    throw new UsageError(`--window must be a whole number of days, not "${values.window}".`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}.`);
+  }
+  let columns;
+  if (values.columns) {
+    const keys = values.columns.split(',').map(key => key.trim()).filter(Boolean);
+    const unknown = keys.filter(key => !ALL_COLUMNS.some(col => col.key === key));
+    if (unknown.length) {
+      throw new UsageError(`Unknown column(s): ${unknown.join(', ')}.`);
+    }
+    columns = resolveColumns(keys);
+  }
+
+  if (values.record && values.replay) {
+    throw new UsageError('Use either --record or --replay, not both.');
+  }
+  // Whoever runs the CLI owns the fixture, so it may answer for any client ID
+  try {
+    if (values.record || values.replay) {
+      configureFixtures({ mode: values.record ? 'record' : 'replay', file: values.record || values.replay, anyClient: true });
+    } else {
+      const { mode, file } = getFixtureSettings();
+      configureFixtures({ mode, file, anyClient: true });
+    }
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const orgIds = values.org || null;
+  return {
+    help: false,
+    profiles: loadProfiles(values.credentials).map(profile => ({ ...profile, orgIds })),
+    orgIds,
+    scanOptions: { windowDays: values.window, includeAll: values.all },
+    format: values.format,
+    columns,
+    output: values.output || null,
+    quiet: values.quiet
+  };
+}
+
+/**
+ * missingOrgIds(result, orgIds): the --org IDs no credentials could see.
+ */
+function missingOrgIds(result, orgIds) {
+  const found = new Set(result.orgs.map(org => String(org.id)));
+  return (orgIds || []).filter(id => !found.has(id));
+}
+
+/**
+ * exitCodeFor(result, orgIds):
+ *   EXIT_ERROR if the scan was incomplete (a profile or org not scanned, or
+ *   an --org ID not found), else EXIT_EXPIRED, EXIT_IN_WINDOW or EXIT_OK.
+ *   With --all the device list includes later expiries, so the window is
+ *   checked per device.
+ */
+function exitCodeFor(result, orgIds) {
+  if (result.profiles.some(profile => profile.status !== 'ok') ||
+      result.orgs.some(org => org.status !== 'ok') ||
+      missingOrgIds(result, orgIds).length) {
+    return EXIT_ERROR;
+  }
+  if (result.devices.some(device => device.is_expired)) {
+    return EXIT_EXPIRED;
+  }
+  if (result.devices.some(device => device.days_until_expiry <= result.windowDays)) {
+    return EXIT_IN_WINDOW;
+  }
+  return EXIT_OK;
+}
+
+/**
+ * formatResult(result, format, columns): the output text, ending in a newline.
+ */
+function formatResult(result, format, columns) {
+  if (format === 'json') {
+    return JSON.stringify(toResultJson(result), null, 2) + '\n';
+  }
+  if (format === 'csv') {
+    return toCsv(result, columns) + '\n';
+  }
+  return toTextTable(result, columns) + '\n';
+}
+
+/**
+ * main(argv): runs the CLI and resolves with the exit code.
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write(`${err.message}\nRun with --help for usage.\n`);
+    return EXIT_ERROR;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+
+  if (options.quiet) {
+    // peplinkCheck.js and fetchUtils.js report failed orgs and retries here
+    console.error = () => {};
+  }
+
+  const fixtures = getFixtureSettings();
+  if (fixtures.mode && !options.quiet) {
+    process.stderr.write(`${fixtures.mode === 'record' ? 'Recording InControl2 responses to' : 'Replaying InControl2 responses from'} ${fixtures.file}\n`);
+  }
+
+  let result;
+  let scanError = null;
+  try {
+    result = await runProfilesCheck(options.profiles, options.scanOptions);
+  } catch (err) {
+    scanError = err;
+  }
+  // Write what was recorded now, failed scan or not, rather than on a timer
+  try {
+    await flushFixtures();
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    return EXIT_ERROR;
+  }
+  if (scanError) {
+    process.stderr.write(`Scan failed: ${scanError.userMessage || scanError.message}\n`);
+    return EXIT_ERROR;
+  }
+
+  const text = formatResult(result, options.format, options.columns);
+  if (options.output) {
+    try {
+      fs.writeFileSync(options.output, text);
+    } catch (err) {
+      process.stderr.write(`Could not write ${options.output}: ${err.message}\n`);
+      return EXIT_ERROR;
+    }
+  } else {
+    process.stdout.write(text);
+  }
+
+  const code = exitCodeFor(result, options.orgIds);
+  if (!options.quiet) {
+    const missing = missingOrgIds(result, options.orgIds);
+    if (missing.length) {
+      process.stderr.write(`Organization${missing.length === 1 ? '' : 's'} not found: ${missing.join(', ')}\n`);
+    }
+    const expired = result.devices.filter(device => device.is_expired).length;
+    const due = result.devices.filter(device => !device.is_expired && device.days_until_expiry <= result.windowDays).length;
+    const notScanned = result.orgs.filter(org => org.status !== 'ok').length +
+      result.profiles.filter(profile => profile.status !== 'ok').length;
+    process.stderr.write(`${expired} expired, ${due} expiring within ${result.windowDays} days` +
+      ` (${result.orgs.length} organization${result.orgs.length === 1 ? '' : 's'}${notScanned ? `, ${notScanned} not scanned - see above` : ''})` +
+      `${options.output ? `; written to ${options.output}` : ''}\n`);
+  }
+  return code;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    process.stderr.write(`${err.stack || err}\n`);
+    process.exitCode = EXIT_ERROR;
+  }
+);
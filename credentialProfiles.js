@@ -0,0 +1,181 @@
+/******************************************************************************
+ * credentialProfiles.js
+ *
+ * Named InControl2 credential profiles. A user (e.g. an MSP) can keep several
+ * Peplink IDs - their own and customers' - and scan any or all of them.
+ *
+ * Every field is encrypted at rest with cryptoUtils, like the users table.
+ * Functions take the better-sqlite3 handle (req.app.get('db')) as the first
+ * argument and always scope by the owning user's email.
+ ******************************************************************************/
+const { encrypt, decrypt } = require('./cryptoUtils');
+
+/**
+ * decryptProfile(row):
+ *   DB row => { id, name, clientId, clientSecret, apiBaseUrl, createdAt, updatedAt }
+ */
+function decryptProfile(row) {
+  return {
+    id: row.id,
+    name: decrypt(row.name),
+    clientId: decrypt(row.client_id),
+    clientSecret: decrypt(row.client_secret),
+    apiBaseUrl: decrypt(row.api_base_url),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * listProfiles(db, email): all of a user's profiles, oldest first.
+ */
+function listProfiles(db, email) {
+  return db.prepare('SELECT * FROM credential_profiles WHERE user_email = ? ORDER BY id')
+    .all(email)
+    .map(decryptProfile);
+}
+
+/**
+ * getProfile(db, email, id): one profile, or null if it isn't theirs.
+ */
+function getProfile(db, email, id) {
+  const row = db.prepare('SELECT * FROM credential_profiles WHERE id = ? AND user_email = ?')
+    .get(id, email);
+  return row ? decryptProfile(row) : null;
+}
+
+/**
+ * createProfile(db, email, fields): fields = { name, clientId, clientSecret, apiBaseUrl }
+ *   Returns the new profile's id.
+ */
+function createProfile(db, email, fields) {
+  const now = new Date().toISOString();
+  const info = db.prepare(`
+    INSERT INTO credential_profiles
+      (user_email, name, client_id, client_secret, api_base_url, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    email,
+    encrypt(fields.name),
+    encrypt(fields.clientId),
+    encrypt(fields.clientSecret),
+    encrypt(fields.apiBaseUrl),
+    now,
+    now
+  );
+  return info.lastInsertRowid;
+}
+
+/**
+ * updateProfile(db, email, id, fields):
+ *   Same fields as createProfile. An empty clientSecret keeps the stored one,
+ *   so the edit form never has to echo the secret back to the browser.
+ */
+function updateProfile(db, email, id, fields) {
+  const existing = getProfile(db, email, id);
+  if (!existing) return false;
+
+  db.prepare(`
+    UPDATE credential_profiles
+    SET name = ?, client_id = ?, client_secret = ?, api_base_url = ?, updated_at = ?
+    WHERE id = ? AND user_email = ?
+  `).run(
+    encrypt(fields.name),
+    encrypt(fields.clientId),
+    encrypt(fields.clientSecret || existing.clientSecret),
+    encrypt(fields.apiBaseUrl),
+    new Date().toISOString(),
+    id,
+    email
+  );
+  return true;
+}
+
+/**
+ * deleteProfile(db, email, id)
+ */
+function deleteProfile(db, email, id) {
+  db.prepare('DELETE FROM credential_profiles WHERE id = ? AND user_email = ?').run(id, email);
+}
+
+/**
+ * asArray(value):
+ *   Form fields arrive as a string for one checkbox, an array for several
+ *   (and API bodies may send either). Shared by the routes.
+ */
+function asArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * selectScanProfiles(profiles, body):
+ *   Picks the credential profiles to scan from profile_ids (a form post,
+ *   query string or API request body), and applies the org filter: org_ids
+ *   values are "<profileId>:<orgId>". When any orgs are chosen, only
+ *   profiles with chosen orgs are scanned.
+ */
+function selectScanProfiles(profiles, body) {
+  const profileIds = asArray(body.profile_ids).map(String);
+  let selected = profileIds.length
+    ? profiles.filter(p => profileIds.includes(String(p.id)))
+    : profiles;
+
+  const orgIdsByProfile = new Map();
+  for (const value of asArray(body.org_ids)) {
+    const text = String(value);
+    const sep = text.indexOf(':');
+    if (sep < 0) continue;
+    const profileId = text.substring(0, sep);
+    if (!orgIdsByProfile.has(profileId)) orgIdsByProfile.set(profileId, []);
+    orgIdsByProfile.get(profileId).push(text.substring(sep + 1));
+  }
+
+  if (orgIdsByProfile.size) {
+    selected = selected
+      .filter(p => orgIdsByProfile.has(String(p.id)))
+      .map(p => ({ ...p, orgIds: orgIdsByProfile.get(String(p.id)) }));
+  }
+  return selected;
+}
+
+/**
+ * migrateLegacyCredentials(db):
+ *   Older versions kept one client ID/secret on the users row. Move any such
+ *   pair into a "Default" profile and clear the old columns.
+ */
+function migrateLegacyCredentials(db) {
+  const rows = db.prepare(`
+    SELECT * FROM users
+    WHERE peplink_client_id IS NOT NULL AND peplink_client_id != ''
+  `).all();
+
+  for (const row of rows) {
+    const clientId = decrypt(row.peplink_client_id);
+    if (clientId) {
+      createProfile(db, row.email, {
+        name: 'Default',
+        clientId,
+        clientSecret: decrypt(row.peplink_client_secret),
+        apiBaseUrl: decrypt(row.peplink_api_base_url)
+      });
+      console.log('Migrated Peplink credentials to a profile for', row.email);
+    }
+    db.prepare(`
+      UPDATE users
+      SET peplink_client_id = NULL, peplink_client_secret = NULL, peplink_api_base_url = NULL
+      WHERE email = ?
+    `).run(row.email);
+  }
+}
+
+module.exports = {
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  asArray,
+  selectScanProfiles,
+  migrateLegacyCredentials
+};
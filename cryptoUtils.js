@@ -4,6 +4,9 @@
  * Provides encrypt() and decrypt() functions using AES-256-CBC with a single
  * key and IV for demonstration. Reads key/IV from .env or code. In production,
  * use a secure key management approach.
+ *
+ * Also hashToken(), for secrets that only ever need to be compared (API
+ * tokens, calendar URLs) and so are stored as a hash instead.
  ******************************************************************************/
 const crypto = require('crypto');
 
@@ -41,7 +44,15 @@ function decrypt(ciphertext) {
   }
 }
 
+/**
+ * hashToken(token): hex SHA-256 of a token.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
 module.exports = {
   encrypt,
-  decrypt
+  decrypt,
+  hashToken
 };
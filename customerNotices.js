@@ -0,0 +1,176 @@
+/******************************************************************************
+ * customerNotices.js
+ *
+ * Per-customer warranty notices for MSPs. Each InControl2 org (identified by
+ * credential profile + org ID) can be mapped to one or more customer contact
+ * emails and an optional message template. After a scan, every mapped org
+ * with matching devices gets one notice containing only its own rows.
+ *
+ * Contact emails, templates and org names are encrypted at rest, like the
+ * rest of the user's data. Every send attempt is logged in notice_log.
+ ******************************************************************************/
+const { encrypt, decrypt } = require('./cryptoUtils');
+const { NOTICE_COLUMNS, summarizeResult, toCsv, toNoticeHtml } = require('./resultFormats');
+
+// Used when a contact has no template of their own
+const DEFAULT_TEMPLATE = `Hello,
+
+The following Peplink devices for {{org_name}} have a warranty that expires within {{window_days}} days or has already expired ({{device_count}} device(s), {{expired_count}} expired).
+
+Please let us know if you would like a quote to renew them.`;
+
+// Placeholders a template may use
+const TEMPLATE_FIELDS = ['org_name', 'device_count', 'expired_count', 'window_days', 'scan_date'];
+
+/**
+ * decryptContact(row):
+ *   DB row => { id, profileId, orgId, orgName, emails[], template, updatedAt }
+ */
+function decryptContact(row) {
+  return {
+    id: row.id,
+    profileId: row.profile_id,
+    orgId: row.org_id,
+    orgName: decrypt(row.org_name),
+    emails: decrypt(row.emails).split(',').filter(Boolean),
+    template: decrypt(row.template),
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * listContacts(db, email): all of a user's org => contact mappings.
+ */
+function listContacts(db, email) {
+  return db.prepare('SELECT * FROM customer_contacts WHERE user_email = ? ORDER BY id')
+    .all(email)
+    .map(decryptContact);
+}
+
+/**
+ * saveContact(db, email, fields):
+ *   fields = { profileId, orgId, orgName, emails[], template }
+ *   Creates the mapping, or replaces the existing one for the same org.
+ */
+function saveContact(db, email, fields) {
+  const now = new Date().toISOString();
+  const existing = db.prepare(`
+    SELECT id FROM customer_contacts WHERE user_email = ? AND profile_id = ? AND org_id = ?
+  `).get(email, fields.profileId, fields.orgId);
+
+  if (existing) {
+    db.prepare(`
+      UPDATE customer_contacts SET org_name = ?, emails = ?, template = ?, updated_at = ? WHERE id = ?
+    `).run(encrypt(fields.orgName), encrypt(fields.emails.join(',')), encrypt(fields.template), now, existing.id);
+    return existing.id;
+  }
+  const info = db.prepare(`
+    INSERT INTO customer_contacts (user_email, profile_id, org_id, org_name, emails, template, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(email, fields.profileId, fields.orgId, encrypt(fields.orgName),
+    encrypt(fields.emails.join(',')), encrypt(fields.template), now);
+  return info.lastInsertRowid;
+}
+
+/**
+ * deleteContact(db, email, id)
+ */
+function deleteContact(db, email, id) {
+  db.prepare('DELETE FROM customer_contacts WHERE id = ? AND user_email = ?').run(id, email);
+}
+
+/**
+ * renderTemplate(template, values):
+ *   Replaces {{field}} placeholders; unknown placeholders are left as typed.
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) =>
+    (Object.prototype.hasOwnProperty.call(values, field) ? String(values[field]) : match));
+}
+
+/**
+ * buildNotices(result, contacts):
+ *   One notice per mapped org in the result:
+ *     { contact, org, devices, subject, text, html, csv }
+ *   Orgs that were scanned but have no matching devices get an entry with
+ *   devices = [] (shown in the preview, never sent). Mapped orgs that were
+ *   not part of this scan are left out.
+ */
+function buildNotices(result, contacts) {
+  const notices = [];
+  for (const contact of contacts) {
+    const org = result.orgs.find(o =>
+      String(o.profileId) === String(contact.profileId) && String(o.id) === String(contact.orgId));
+    if (!org) continue;
+
+    const devices = result.devices.filter(d =>
+      String(d.profile_id) === String(contact.profileId) && String(d.org_id) === String(contact.orgId));
+    const summary = summarizeResult({ ...result, devices, orgs: [org], profiles: [] });
+    const text = renderTemplate(contact.template || DEFAULT_TEMPLATE, {
+      org_name: org.name,
+      device_count: summary.deviceCount,
+      expired_count: summary.expiredCount,
+      window_days: result.windowDays,
+      scan_date: result.generatedAt.substring(0, 10)
+    });
+
+    notices.push({
+      contact,
+      org,
+      devices,
+      subject: `Peplink warranty notice for ${org.name}`,
+      text,
+      html: toNoticeHtml(text, devices),
+      csv: toCsv({ devices }, NOTICE_COLUMNS)
+    });
+  }
+  return notices;
+}
+
+/**
+ * logNotice(db, email, notice, status, error): records one send attempt.
+ */
+function logNotice(db, email, notice, status, error) {
+  db.prepare(`
+    INSERT INTO notice_log
+      (user_email, profile_id, org_id, org_name, recipients, device_count, status, error, sent_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    email,
+    notice.contact.profileId,
+    notice.contact.orgId,
+    encrypt(notice.org.name),
+    encrypt(notice.contact.emails.join(', ')),
+    notice.devices.length,
+    status,
+    error || null,
+    new Date().toISOString()
+  );
+}
+
+/**
+ * listNoticeLog(db, email, limit): most recent send attempts first.
+ */
+function listNoticeLog(db, email, limit = 200) {
+  return db.prepare('SELECT * FROM notice_log WHERE user_email = ? ORDER BY id DESC LIMIT ?')
+    .all(email, limit)
+    .map(row => ({
+      orgName: decrypt(row.org_name),
+      recipients: decrypt(row.recipients),
+      deviceCount: row.device_count,
+      status: row.status,
+      error: row.error,
+      sentAt: row.sent_at
+    }));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TEMPLATE_FIELDS,
+  listContacts,
+  saveContact,
+  deleteContact,
+  buildNotices,
+  logNotice,
+  listNoticeLog
+};
@@ -0,0 +1,149 @@
+/******************************************************************************
+ * fetchUtils.js
+ *
+ * HTTP helpers for talking to InControl2:
+ *   - fetchWithRetry(): per-request timeout plus exponential backoff on
+ *     429 / 5xx / network errors, honoring Retry-After
+ *   - mapWithConcurrency(): run an async function over a list with at most
+ *     N calls in flight
+ *
+ * Defaults can be tuned in .env (PEPLINK_CONCURRENCY, PEPLINK_TIMEOUT_MS,
+ * PEPLINK_MAX_RETRIES) or per call.
+ ******************************************************************************/
+
+const fetch = require('node-fetch'); // If on Node <18
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const MAX_BACKOFF_MS = 60 * 1000;
+
+/**
+ * envInt(name, fallback):
+ *   Reads a non-negative integer from process.env, or returns fallback.
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return (value >= 0) ? value : fallback;
+}
+
+/**
+ * normalizeFetchOptions(options):
+ *   concurrency - max parallel requests (default 5)
+ *   timeoutMs   - per-request timeout (default 30s)
+ *   maxRetries  - retries after the first attempt (default 3)
+ *   baseDelayMs - first backoff delay, doubled on each retry (default 500ms)
+ */
+function normalizeFetchOptions(options = {}) {
+  const pick = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return (n >= 0) ? n : fallback;
+  };
+  return {
+    concurrency: Math.max(1, pick(options.concurrency, envInt('PEPLINK_CONCURRENCY', 5))),
+    timeoutMs: pick(options.timeoutMs, envInt('PEPLINK_TIMEOUT_MS', 30000)),
+    maxRetries: pick(options.maxRetries, envInt('PEPLINK_MAX_RETRIES', 3)),
+    baseDelayMs: pick(options.baseDelayMs, 500)
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * parseRetryAfter(header):
+ *   Retry-After may be delay-seconds or an HTTP date. Returns ms, or null.
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return null;
+}
+
+/**
+ * backoffDelay(attempt, baseDelayMs, retryAfterMs):
+ *   Retry-After wins when the server sends one; otherwise exponential
+ *   backoff with jitter. Both are capped at MAX_BACKOFF_MS.
+ */
+function backoffDelay(attempt, baseDelayMs, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return Math.min(retryAfterMs, MAX_BACKOFF_MS);
+  }
+  const exp = baseDelayMs * Math.pow(2, attempt);
+  return Math.min(exp + Math.random() * baseDelayMs, MAX_BACKOFF_MS);
+}
+
+/**
+ * fetchWithRetry(url, init, options):
+ *   Like fetch(), but aborts after options.timeoutMs and retries retryable
+ *   statuses and network errors up to options.maxRetries times.
+ *   Resolves with the final Response (which may still be !ok) or rejects
+ *   with the last network/timeout error.
+ */
+async function fetchWithRetry(url, init = {}, options = {}) {
+  const { timeoutMs, maxRetries, baseDelayMs } = normalizeFetchOptions(options);
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    let res = null;
+    let error = null;
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      error = (err.name === 'AbortError')
+        ? new Error(`Request timed out after ${timeoutMs}ms: ${url}`)
+        : err;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    const retryable = error || RETRYABLE_STATUSES.includes(res.status);
+    if (!retryable || attempt >= maxRetries) {
+      if (error) throw error;
+      return res;
+    }
+
+    const retryAfterMs = res ? parseRetryAfter(res.headers.get('retry-after')) : null;
+    const delay = backoffDelay(attempt, baseDelayMs, retryAfterMs);
+    console.error(`Retrying ${url} in ${Math.round(delay)}ms (${error ? error.message : 'HTTP ' + res.status})`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * mapWithConcurrency(items, limit, fn):
+ *   Calls fn(item, index) for every item with at most `limit` calls pending.
+ *   Resolves to the results in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  normalizeFetchOptions,
+  fetchWithRetry,
+  mapWithConcurrency
+};
@@ -0,0 +1,177 @@
+/******************************************************************************
+ * icsExport.js
+ *
+ * iCalendar (RFC 5545) export of warranty expiration dates, for importing
+ * into or subscribing from a team calendar. Each expiry becomes an all-day
+ * event with reminder alarms ahead of it.
+ *
+ * Event UIDs are derived from the serial number (or org) and expiry date, so
+ * re-importing or refreshing a subscription updates events instead of
+ * duplicating them, and a renewed device gets a new event.
+ ******************************************************************************/
+
+// Reminder alarms, in days before the expiry date
+const ALARM_DAYS = [30, 7];
+const PRODUCT_ID = '-//Llama Networks//Peplink Warranty Checker//EN';
+const UID_DOMAIN = 'peplink-warranty-checker';
+
+/**
+ * escapeText(value): TEXT value escaping (backslash, ; , and newlines).
+ */
+function escapeText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * foldLine(line):
+ *   Folds a content line to 75 octets per physical line, continuation lines
+ *   starting with a space. Never splits a multi-byte character.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * compactDate(date): 'YYYY-MM-DD' => 'YYYYMMDD'
+ */
+function compactDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * nextDay(date): the day after a 'YYYY-MM-DD' date, as 'YYYYMMDD'.
+ */
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return compactDate(day.toISOString().substring(0, 10));
+}
+
+/**
+ * utcStamp(iso): ISO timestamp => 'YYYYMMDDTHHMMSSZ'
+ */
+function utcStamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+/**
+ * uidPart(value): a value made safe for use inside a UID.
+ */
+function uidPart(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * buildEvents(result, groupByOrg):
+ *   [{ uid, date, summary, description }] - one per device, or one per org
+ *   per expiry date with groupByOrg.
+ */
+function buildEvents(result, groupByOrg) {
+  const label = (device) => device.device_name
+    ? `${device.device_name} (${device.serial_number})`
+    : device.serial_number;
+  const devices = result.devices.filter(device => /^\d{4}-\d{2}-\d{2}$/.test(device.warranty_expiry_date || ''));
+
+  if (!groupByOrg) {
+    return devices.map(device => ({
+      uid: `${uidPart(device.serial_number)}-${compactDate(device.warranty_expiry_date)}@${UID_DOMAIN}`,
+      date: device.warranty_expiry_date,
+      summary: `Warranty expires: ${label(device)} - ${device.org_name}`,
+      description: [
+        `Organization: ${device.org_name}`,
+        `Credential profile: ${device.profile_name}`,
+        `Serial number: ${device.serial_number}`,
+        device.product_name ? `Model: ${device.product_name}` : '',
+        `Warranty expiry date: ${device.warranty_expiry_date}`
+      ].filter(Boolean).join('\n')
+    }));
+  }
+
+  const groups = new Map();
+  for (const device of devices) {
+    const key = `${device.profile_id}:${device.org_id}:${device.warranty_expiry_date}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(device);
+  }
+  return Array.from(groups.values()).map(group => {
+    const first = group[0];
+    return {
+      uid: `org-${uidPart(first.profile_id)}-${uidPart(first.org_id)}-${compactDate(first.warranty_expiry_date)}@${UID_DOMAIN}`,
+      date: first.warranty_expiry_date,
+      summary: `${group.length} Peplink ${group.length === 1 ? 'warranty expires' : 'warranties expire'}: ${first.org_name}`,
+      description: [
+        `Organization: ${first.org_name}`,
+        `Credential profile: ${first.profile_name}`,
+        '',
+        ...group.map(device => label(device) + (device.product_name ? `, ${device.product_name}` : ''))
+      ].join('\n')
+    };
+  });
+}
+
+/**
+ * toIcs(result, options):
+ *   The calendar as a string (CRLF line endings).
+ *   options = { groupByOrg, calendarName }
+ *   result may be null, for a subscription with no stored scan yet: the
+ *   calendar is then valid but has no events.
+ */
+function toIcs(result, options = {}) {
+  const stamp = utcStamp(result ? result.generatedAt : new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.calendarName || 'Peplink warranty expirations')}`
+  ];
+
+  for (const event of result ? buildEvents(result, !!options.groupByOrg) : []) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compactDate(event.date)}`,
+      `DTEND;VALUE=DATE:${nextDay(event.date)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      'TRANSP:TRANSPARENT'
+    );
+    for (const days of ALARM_DAYS) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        `TRIGGER:-P${days}D`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  toIcs
+};
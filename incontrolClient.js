@@ -0,0 +1,411 @@
+/******************************************************************************
+ * incontrolClient.js
+ *
+ * A small client for the Peplink InControl2 REST API:
+ *   - OAuth2 client-credentials token exchange, with tokens cached in memory
+ *     until shortly before they expire (shared by every client instance
+ *     using the same credentials)
+ *   - getOrganizations(), getDevices(), getGroups(), getDeviceDetails()
+ *   - distinct error classes so callers can tell bad credentials, rate
+ *     limiting, network trouble, unexpected payloads and fixture problems
+ *     apart. Each error
+ *     carries a userMessage suitable for showing on a page.
+ *
+ * Timeouts/retries come from fetchUtils.js (fetchOptions). Every request goes
+ * to the client's API base URL: the public InControl2 API by default,
+ * PEPLINK_API_BASE_URL from .env for the whole server, or a per-credential
+ * URL for InControl Virtual Appliance (on-premises) deployments.
+ *
+ * With PEPLINK_FIXTURE_MODE set, responses are also recorded to, or replayed
+ * from, a fixture file instead of the network (see incontrolFixtures.js).
+ ******************************************************************************/
+const crypto = require('crypto');
+const { fetchWithRetry } = require('./fetchUtils');
+const { getFixtureSettings, recordResponse, replayResponse } = require('./incontrolFixtures');
+
+const PUBLIC_API_BASE_URL = 'https://api.ic.peplink.com';
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000; // refresh a minute early
+
+/**
+ * @typedef {Object} Organization
+ * @property {string} id
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} Device
+ * @property {number} id
+ * @property {string} sn            Serial number, e.g. "1111-2222-3333"
+ * @property {string} [name]
+ * @property {string} [product_name] Model, e.g. "MAX BR1 Mini"
+ * @property {string} [product_code] Product code, e.g. "MAX-BR1-MINI-LTEA-W-T"
+ * @property {string} [group_name]
+ * @property {string} [status]       "online" / "offline"
+ * @property {string} [fw_ver]       Firmware version
+ * @property {string} [expiry_date] Warranty expiry (ISO date/time)
+ * @property {boolean} [expired]
+ */
+
+/**
+ * @typedef {Object} Group
+ * @property {number} id
+ * @property {string} name
+ */
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+class InControlError extends Error {
+  constructor(message, { status = null, userMessage = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.userMessage = userMessage || message;
+  }
+}
+
+// Token exchange refused the client ID/secret
+class InvalidCredentialsError extends InControlError {
+  constructor(message, opts = {}) {
+    super(message, {
+      ...opts,
+      userMessage: 'InControl2 rejected your Peplink client ID or client secret. ' +
+        'The secret may have been revoked or regenerated: create a new client application ' +
+        'in your Peplink ID settings and update the credentials in the Control Panel.'
+    });
+  }
+}
+
+// The credentials are valid but may not read this resource (HTTP 401/403)
+class PermissionDeniedError extends InControlError {
+  constructor(message, opts = {}) {
+    super(message, {
+      ...opts,
+      userMessage: `Your Peplink credentials are not allowed to read this data (${message}).`
+    });
+  }
+}
+
+// Still HTTP 429 after all retries
+class RateLimitError extends InControlError {
+  constructor(message, opts = {}) {
+    super(message, {
+      ...opts,
+      userMessage: 'InControl2 is rate limiting requests for these credentials. ' +
+        'Wait a few minutes and run the check again.'
+    });
+  }
+}
+
+// DNS/connection failures and timeouts
+class NetworkError extends InControlError {
+  constructor(message, opts = {}) {
+    super(message, {
+      ...opts,
+      userMessage: `Could not reach InControl2 (${message}). Check the server's network connection and try again.`
+    });
+  }
+}
+
+// Non-JSON bodies, missing fields, other unexpected HTTP statuses
+class UnexpectedResponseError extends InControlError {
+  constructor(message, opts = {}) {
+    super(message, {
+      ...opts,
+      userMessage: `InControl2 returned an unexpected response (${message}). Try again later.`
+    });
+  }
+}
+
+// Replay mode could not answer: fixture file missing, unreadable or of the
+// wrong format, or no response recorded for the request
+class FixtureError extends InControlError {
+  constructor(message, opts = {}) {
+    super(message, {
+      ...opts,
+      userMessage: `Could not replay the InControl2 fixture (${message}). ` +
+        'Check the fixture file, or turn replay mode off to use the live API.'
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * describeErrorBody(text):
+ *   Pulls a readable message out of an InControl2 error body ({ message }
+ *   JSON or plain text), trimmed to a sensible length.
+ */
+function describeErrorBody(text) {
+  let message = text || '';
+  try {
+    const json = JSON.parse(text);
+    message = json.message || json.error_description || json.error || text;
+  } catch (err) {
+    // not JSON, use as-is
+  }
+  message = String(message).trim();
+  return message.length > 200 ? message.substring(0, 200) + '...' : (message || 'no details');
+}
+
+/**
+ * errorForStatus(res, text, what):
+ *   Maps a non-2xx REST response to the matching error class.
+ */
+function errorForStatus(res, text, what) {
+  const message = `${what}: HTTP ${res.status} - ${describeErrorBody(text)}`;
+  if (res.status === 401 || res.status === 403) {
+    return new PermissionDeniedError(message, { status: res.status });
+  }
+  if (res.status === 429) {
+    return new RateLimitError(message, { status: res.status });
+  }
+  return new UnexpectedResponseError(message, { status: res.status });
+}
+
+/**
+ * isValidApiBaseUrl(url):
+ *   True for an absolute http(s) URL with no query string or fragment.
+ */
+function isValidApiBaseUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'https:' || parsed.protocol === 'http:') && !parsed.search && !parsed.hash;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * getDefaultApiBaseUrl():
+ *   The system-level base URL: PEPLINK_API_BASE_URL, else the public API.
+ */
+function getDefaultApiBaseUrl() {
+  const fromEnv = (process.env.PEPLINK_API_BASE_URL || '').trim();
+  return (fromEnv || PUBLIC_API_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * resolveApiBaseUrl(url):
+ *   A per-credential base URL (trailing slashes removed), or the system
+ *   default when none is set.
+ */
+function resolveApiBaseUrl(url) {
+  const trimmed = (url || '').trim();
+  return trimmed ? trimmed.replace(/\/+$/, '') : getDefaultApiBaseUrl();
+}
+
+// Token cache: key => { accessToken, expiresAt }
+const tokenCache = new Map();
+
+function tokenCacheKey(baseUrl, clientId, clientSecret) {
+  const secretHash = crypto.createHash('sha256').update(clientSecret || '').digest('hex');
+  return `${baseUrl}|${clientId}|${secretHash}`;
+}
+
+// ---------------------------------------------------------------------------
+// Client
+// ---------------------------------------------------------------------------
+
+class InControlClient {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.clientId
+   * @param {string} opts.clientSecret
+   * @param {string} [opts.apiBaseUrl]   defaults to getDefaultApiBaseUrl()
+   * @param {Object} [opts.fetchOptions] timeoutMs / maxRetries (fetchUtils)
+   */
+  constructor({ clientId, clientSecret, apiBaseUrl, fetchOptions = {} }) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.baseUrl = resolveApiBaseUrl(apiBaseUrl);
+    this.fetchOptions = fetchOptions;
+  }
+
+  /**
+   * send(url, init, what):
+   *   fetchWithRetry(), with network failures and rate limiting mapped to
+   *   NetworkError / RateLimitError. In fixture mode the response is also
+   *   recorded, or comes from the fixture file (a missing file or response
+   *   => FixtureError).
+   */
+  async send(url, init, what) {
+    const { mode } = getFixtureSettings();
+    let res;
+    if (mode === 'replay') {
+      try {
+        res = replayResponse(this.clientId, this.baseUrl, url, init);
+      } catch (err) {
+        throw new FixtureError(`${what}: ${err.message}`);
+      }
+    } else {
+      try {
+        res = await fetchWithRetry(url, init, this.fetchOptions);
+      } catch (err) {
+        throw new NetworkError(`${what}: ${err.message}`);
+      }
+    }
+    if (mode === 'record') {
+      res = await recordResponse(this.clientId, this.baseUrl, url, init, res);
+    }
+    if (res.status === 429) {
+      throw new RateLimitError(`${what}: HTTP 429 - still rate limited after retries`, { status: 429 });
+    }
+    return res;
+  }
+
+  /**
+   * getAccessToken(): resolves to a bearer token, from cache if still valid.
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    const key = tokenCacheKey(this.baseUrl, this.clientId, this.clientSecret);
+    const cached = tokenCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.accessToken;
+    }
+
+    const tokenBody = new URLSearchParams({
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      grant_type: 'client_credentials'
+    });
+    const res = await this.send(`${this.baseUrl}/api/oauth2/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: tokenBody.toString()
+    }, 'Token request');
+
+    const text = await res.text();
+    if (res.status === 400 || res.status === 401 || res.status === 403) {
+      throw new InvalidCredentialsError(`Failed to get token: ${res.status} - ${describeErrorBody(text)}`, { status: res.status });
+    }
+    if (!res.ok) {
+      throw new UnexpectedResponseError(`Failed to get token: ${res.status} - ${describeErrorBody(text)}`, { status: res.status });
+    }
+
+    let tokenJson;
+    try {
+      tokenJson = JSON.parse(text);
+    } catch (err) {
+      throw new UnexpectedResponseError('Token response was not JSON');
+    }
+    if (!tokenJson.access_token) {
+      throw new UnexpectedResponseError('No access_token in token response');
+    }
+
+    const expiresInMs = (parseInt(tokenJson.expires_in, 10) || 3600) * 1000;
+    tokenCache.set(key, {
+      accessToken: tokenJson.access_token,
+      expiresAt: Date.now() + expiresInMs - TOKEN_EXPIRY_MARGIN_MS
+    });
+    return tokenJson.access_token;
+  }
+
+  /**
+   * invalidateToken(): drop the cached token (e.g. after it was rejected).
+   */
+  invalidateToken() {
+    tokenCache.delete(tokenCacheKey(this.baseUrl, this.clientId, this.clientSecret));
+  }
+
+  /**
+   * get(path, what):
+   *   Authenticated GET of an InControl2 REST path; returns the `data`
+   *   member of the { stat: 'ok', data } envelope. A 401 on a cached token
+   *   gets one retry with a fresh token.
+   */
+  async get(path, what) {
+    for (let attempt = 0; ; attempt++) {
+      const accessToken = await this.getAccessToken();
+      const res = await this.send(`${this.baseUrl}${path}`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      }, what);
+
+      if (res.status === 401 && attempt === 0) {
+        this.invalidateToken();
+        continue;
+      }
+
+      const text = await res.text();
+      if (!res.ok) {
+        throw errorForStatus(res, text, what);
+      }
+
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (err) {
+        throw new UnexpectedResponseError(`${what}: response was not JSON`, { status: res.status });
+      }
+      if (!json || json.data === undefined || (json.stat && json.stat !== 'ok')) {
+        throw new UnexpectedResponseError(`${what}: ${describeErrorBody(text)}`, { status: res.status });
+      }
+      return json.data;
+    }
+  }
+
+  /**
+   * getOrganizations(): every org the credentials can reach.
+   * @returns {Promise<Organization[]>}
+   */
+  async getOrganizations() {
+    const data = await this.get('/rest/o', 'Failed to fetch orgs');
+    if (!Array.isArray(data)) {
+      throw new UnexpectedResponseError('Failed to fetch orgs: data is not a list');
+    }
+    return data;
+  }
+
+  /**
+   * getDevices(orgId): devices in an org, including warranty fields.
+   * @returns {Promise<Device[]>}
+   */
+  async getDevices(orgId) {
+    const path = `/rest/o/${encodeURIComponent(orgId)}/d?includeWarranty=true`;
+    const data = await this.get(path, `Failed devices for org ${orgId}`);
+    if (!Array.isArray(data)) {
+      throw new UnexpectedResponseError(`Failed devices for org ${orgId}: data is not a list`);
+    }
+    return data;
+  }
+
+  /**
+   * getGroups(orgId): device groups in an org.
+   * @returns {Promise<Group[]>}
+   */
+  async getGroups(orgId) {
+    const data = await this.get(`/rest/o/${encodeURIComponent(orgId)}/g`, `Failed groups for org ${orgId}`);
+    if (!Array.isArray(data)) {
+      throw new UnexpectedResponseError(`Failed groups for org ${orgId}: data is not a list`);
+    }
+    return data;
+  }
+
+  /**
+   * getDeviceDetails(orgId, deviceId): full detail record for one device.
+   * @returns {Promise<Device>}
+   */
+  async getDeviceDetails(orgId, deviceId) {
+    const path = `/rest/o/${encodeURIComponent(orgId)}/d/${encodeURIComponent(deviceId)}`;
+    return this.get(path, `Failed device ${deviceId} in org ${orgId}`);
+  }
+}
+
+module.exports = {
+  PUBLIC_API_BASE_URL,
+  isValidApiBaseUrl,
+  getDefaultApiBaseUrl,
+  resolveApiBaseUrl,
+  InControlClient,
+  InControlError,
+  InvalidCredentialsError,
+  PermissionDeniedError,
+  RateLimitError,
+  NetworkError,
+  UnexpectedResponseError,
+  FixtureError
+};
@@ -0,0 +1,306 @@
+/******************************************************************************
+ * incontrolFixtures.js
+ *
+ * Record / replay of InControl2 API responses, for testing, demos and
+ * reproducing customer-reported issues without a live InControl2 account.
+ *
+ *   PEPLINK_FIXTURE_MODE=record  every response (token, org list, device
+ *                                lists, ...) is also saved to the fixture file
+ *   PEPLINK_FIXTURE_MODE=replay  responses come from the fixture file and
+ *                                nothing is sent over the network
+ *   PEPLINK_FIXTURE_FILE         the file (default incontrol-fixture.json)
+ *
+ * The CLI sets the same thing with --record / --replay (configureFixtures).
+ * incontrolClient.js calls recordResponse() / replayResponse() from send(),
+ * so everything above it runs exactly as it does against the live API.
+ *
+ * Recorded files are sanitized: access tokens and any other token, secret or
+ * password fields are replaced with "REDACTED", the client ID and secret and
+ * bearer token are scrubbed from response text, and credentials are only
+ * identified by a short hash of the client ID. Org and device data (names,
+ * serial numbers, dates) is kept - that's what the file is for - so treat it
+ * like any other customer data.
+ *
+ * Responses are keyed by credentials, method and path (without the API base
+ * URL); within one recording the latest response for a key wins. On replay
+ * only responses recorded for the same client ID are used. The CLI, where
+ * whoever runs it owns the fixture, passes anyClient so that a fixture
+ * recorded with a single set of credentials answers for any credentials and
+ * a demo doesn't need the original client ID. The web server never does:
+ * there one user's fixture must not answer for another user's credentials.
+ * For the same reason the server records each client ID to its own file,
+ * e.g. incontrol-fixture.client-1a2b3c4d5e6f.json, and replays from that
+ * file when there is one (else from the fixture file itself).
+ *
+ * Recorded responses are collected in memory and written together, a few
+ * seconds after the last one (SAVE_DELAY_MS) or when flushFixtures() is
+ * called, as the CLI does at the end of its scan.
+ ******************************************************************************/
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Response } = require('node-fetch');
+
+const FIXTURE_MODES = ['record', 'replay'];
+const FIXTURE_FORMAT = 'peplink-warranty-checker/incontrol-fixture';
+const FIXTURE_VERSION = 1;
+const DEFAULT_FIXTURE_FILE = 'incontrol-fixture.json';
+const REDACTED = 'REDACTED';
+const SENSITIVE_KEY = /token(?!_type)|secret|password|passphrase|psk/i;
+const SAVE_DELAY_MS = 2000;
+
+// { mode: 'record' | 'replay' | null, file, anyClient }, resolved on first use
+let settings = null;
+// file => { recordedAt, responses: Map("<client> <method> <path>" => entry) }
+const recordings = new Map();
+// file => parsed fixture, loaded on first replay from it
+const replays = new Map();
+// Recorded files not yet written, the timer that writes them and the
+// write in progress (so two writes of one file never overlap)
+const unsaved = new Set();
+let saveTimer = null;
+let saving = Promise.resolve();
+
+/**
+ * configureFixtures({ mode, file, anyClient }):
+ *   Sets the mode and file, overriding PEPLINK_FIXTURE_MODE / _FILE.
+ *   mode null turns fixtures off. anyClient lets a single-credential fixture
+ *   answer for any client ID (for the CLI only; see the header).
+ */
+function configureFixtures({ mode = null, file = null, anyClient = false } = {}) {
+  if (mode && !FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown fixture mode "${mode}" (use ${FIXTURE_MODES.join(' or ')}).`);
+  }
+  settings = { mode, file: path.resolve(file || DEFAULT_FIXTURE_FILE), anyClient: !!anyClient };
+  recordings.clear();
+  replays.clear();
+  unsaved.clear();
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  return settings;
+}
+
+/**
+ * getFixtureSettings(): { mode, file, anyClient }, from the environment unless
+ *   configureFixtures() was called. Throws on an unknown mode, so a typo
+ *   doesn't quietly fall back to the live API.
+ */
+function getFixtureSettings() {
+  if (!settings) {
+    configureFixtures({
+      mode: (process.env.PEPLINK_FIXTURE_MODE || '').trim().toLowerCase() || null,
+      file: (process.env.PEPLINK_FIXTURE_FILE || '').trim() || null
+    });
+  }
+  return settings;
+}
+
+/**
+ * clientKey(clientId): how a set of credentials is identified in the file.
+ */
+function clientKey(clientId) {
+  return 'client-' + crypto.createHash('sha256').update(String(clientId || '')).digest('hex').substring(0, 12);
+}
+
+/**
+ * fixtureFileFor(clientId):
+ *   The file a client ID's responses are recorded to: the fixture file with
+ *   anyClient (the CLI), else a file of its own next to it.
+ */
+function fixtureFileFor(clientId) {
+  const { file, anyClient } = getFixtureSettings();
+  if (anyClient) {
+    return file;
+  }
+  const ext = path.extname(file);
+  return `${file.substring(0, file.length - ext.length)}.${clientKey(clientId)}${ext}`;
+}
+
+/**
+ * requestPath(baseUrl, url): the URL without the API base, e.g. '/rest/o'.
+ */
+function requestPath(baseUrl, url) {
+  if (url.startsWith(baseUrl)) {
+    return url.substring(baseUrl.length) || '/';
+  }
+  const parsed = new URL(url);
+  return parsed.pathname + parsed.search;
+}
+
+/**
+ * secretsIn(init):
+ *   The credential values sent with a request: client ID and secret from a
+ *   token request body, and the bearer token.
+ */
+function secretsIn(init = {}) {
+  const values = [];
+  if (typeof init.body === 'string') {
+    const params = new URLSearchParams(init.body);
+    values.push(params.get('client_id'), params.get('client_secret'));
+  }
+  const auth = (init.headers && init.headers.Authorization) || '';
+  values.push(auth.replace(/^Bearer\s+/i, ''));
+  return values.filter(value => value && value.length >= 4);
+}
+
+/**
+ * sanitize(value): a parsed JSON body with sensitive fields redacted.
+ */
+function sanitize(value) {
+  if (Array.isArray(value)) {
+    return value.map(sanitize);
+  }
+  if (value && typeof value === 'object') {
+    const clean = {};
+    for (const [key, item] of Object.entries(value)) {
+      clean[key] = (SENSITIVE_KEY.test(key) && typeof item === 'string') ? REDACTED : sanitize(item);
+    }
+    return clean;
+  }
+  return value;
+}
+
+/**
+ * loadFixture(file): the parsed fixture file, checked for the right format.
+ */
+function loadFixture(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read fixture file ${file}: ${err.message}`);
+  }
+  if (!parsed || parsed.format !== FIXTURE_FORMAT || !Array.isArray(parsed.responses)) {
+    throw new Error(`${file} is not an InControl2 fixture file.`);
+  }
+  if (parsed.version > FIXTURE_VERSION) {
+    throw new Error(`${file} was recorded by a newer version (fixture version ${parsed.version}).`);
+  }
+  return parsed;
+}
+
+/**
+ * saveFixture(file, data): writes the file (owner-readable only) via a
+ *   temporary file, so a crash never leaves half a fixture behind.
+ */
+async function saveFixture(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temp, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  await fs.promises.rename(temp, file);
+}
+
+/**
+ * flushFixtures():
+ *   Writes every recording with unsaved responses now. Resolves once they
+ *   are written; rejects if one can't be (it stays unsaved).
+ */
+function flushFixtures() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  saving = saving.catch(() => {}).then(async () => {
+    for (const file of [...unsaved]) {
+      unsaved.delete(file);
+      const recording = recordings.get(file);
+      try {
+        await saveFixture(file, {
+          format: FIXTURE_FORMAT,
+          version: FIXTURE_VERSION,
+          recordedAt: recording.recordedAt,
+          responses: [...recording.responses.values()]
+        });
+      } catch (err) {
+        unsaved.add(file);
+        throw new Error(`Could not write fixture file ${file}: ${err.message}`);
+      }
+    }
+  });
+  return saving;
+}
+
+/**
+ * recordResponse(clientId, baseUrl, url, init, res):
+ *   Adds a live response to its recording (a new recording is started on
+ *   the first response for each file), schedules the write and resolves
+ *   with an unread copy for the caller.
+ */
+async function recordResponse(clientId, baseUrl, url, init, res) {
+  const text = await res.text();
+
+  let scrubbed = text;
+  for (const secret of secretsIn(init)) {
+    scrubbed = scrubbed.split(secret).join(REDACTED);
+  }
+  let body;
+  try {
+    body = sanitize(JSON.parse(scrubbed));
+  } catch (err) {
+    body = scrubbed;
+  }
+
+  const headers = {};
+  for (const name of ['content-type', 'retry-after']) {
+    if (res.headers.get(name)) headers[name] = res.headers.get(name);
+  }
+  const entry = {
+    client: clientKey(clientId),
+    method: (init && init.method) || 'GET',
+    path: requestPath(baseUrl, url),
+    status: res.status,
+    headers,
+    body
+  };
+
+  const file = fixtureFileFor(clientId);
+  if (!recordings.has(file)) {
+    recordings.set(file, { recordedAt: null, responses: new Map() });
+  }
+  const recording = recordings.get(file);
+  recording.recordedAt = new Date().toISOString();
+  recording.responses.set(`${entry.client} ${entry.method} ${entry.path}`, entry);
+  unsaved.add(file);
+  if (!saveTimer) {
+    saveTimer = setTimeout(() => {
+      flushFixtures().catch(err => console.error(err.message));
+    }, SAVE_DELAY_MS);
+  }
+
+  return new Response(text, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+/**
+ * replayResponse(clientId, baseUrl, url, init):
+ *   The recorded Response for a request, from the client ID's own file if
+ *   there is one. Throws if the fixture has none for these credentials.
+ */
+function replayResponse(clientId, baseUrl, url, init) {
+  const { anyClient } = getFixtureSettings();
+  const ownFile = fixtureFileFor(clientId);
+  const file = fs.existsSync(ownFile) ? ownFile : getFixtureSettings().file;
+  if (!replays.has(file)) {
+    replays.set(file, loadFixture(file));
+  }
+  const fixture = replays.get(file);
+
+  const method = (init && init.method) || 'GET';
+  const target = requestPath(baseUrl, url);
+  const matches = fixture.responses.filter(r => r.method === method && r.path === target);
+  const clients = new Set(fixture.responses.map(r => r.client));
+  const entry = matches.find(r => r.client === clientKey(clientId)) ||
+    (anyClient && clients.size === 1 ? matches[0] : null);
+  if (!entry) {
+    throw new Error(`no response recorded for ${method} ${target} with these credentials in ${path.basename(file)}`);
+  }
+
+  const body = typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body);
+  return new Response(body, { status: entry.status, headers: entry.headers || {} });
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  configureFixtures,
+  getFixtureSettings,
+  flushFixtures,
+  recordResponse,
+  replayResponse
+};
@@ -0,0 +1,149 @@
+/******************************************************************************
+ * mailer.js
+ *
+ * Outgoing email for everything other than OTP logins (scheduled digests,
+ * "email me these results", etc.). Sends through the user's own SMTP server
+ * when they have configured one in the panel, otherwise through the
+ * system-level SMTP settings from .env (SYSTEM_SMTP_*).
+ ******************************************************************************/
+const nodemailer = require('nodemailer');
+const { decrypt } = require('./cryptoUtils');
+const { toCsv, toDigestHtml, summarizeResult } = require('./resultFormats');
+
+// Hostname or IPv4/IPv6 literal; no scheme, path or port
+const SMTP_HOST_RE = /^(?=.{1,253}$)([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$|^\[?[0-9a-fA-F:.]+\]?$/;
+
+/**
+ * getSystemSmtpConfig():
+ *   nodemailer transport options from SYSTEM_SMTP_* in .env.
+ */
+function getSystemSmtpConfig() {
+  const port = parseInt(process.env.SYSTEM_SMTP_PORT || '465', 10);
+  return {
+    host: process.env.SYSTEM_SMTP_HOST,
+    port,
+    secure: (port === 465),
+    auth: {
+      user: process.env.SYSTEM_SMTP_USER,
+      pass: process.env.SYSTEM_SMTP_PASS
+    }
+  };
+}
+
+function getSystemFromAddress() {
+  return process.env.SYSTEM_SMTP_FROM || 'Llama Networks <llamatasks@llamamail.io>';
+}
+
+/**
+ * validateSmtpSettings(settings):
+ *   settings = { smtp_host, smtp_port, smtp_user, smtp_pass, smtp_secure }
+ *   as strings from the panel form. A blank host means "no custom SMTP" and
+ *   is valid. Returns an error message, or null if the settings are usable.
+ */
+function validateSmtpSettings(settings) {
+  const host = (settings.smtp_host || '').trim();
+  if (!host) return null;
+
+  const port = Number(settings.smtp_port);
+  if (!SMTP_HOST_RE.test(host)) {
+    return 'SMTP host must be a hostname or IP address (no "smtp://" or port).';
+  }
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    return 'SMTP port must be a number between 1 and 65535.';
+  }
+  if (settings.smtp_secure !== 'true' && settings.smtp_secure !== 'false') {
+    return 'Please choose whether the connection is secure.';
+  }
+  if (port === 465 && settings.smtp_secure !== 'true') {
+    return 'Port 465 uses implicit SSL, so Secure must be true.';
+  }
+  if ((port === 587 || port === 25) && settings.smtp_secure === 'true') {
+    return `Port ${port} uses STARTTLS, so Secure must be false.`;
+  }
+  if (settings.smtp_user && !settings.smtp_pass) {
+    return 'Please enter the SMTP password for that user.';
+  }
+  return null;
+}
+
+/**
+ * getUserSmtpConfig(settings):
+ *   nodemailer transport options from a user's decrypted SMTP settings, or
+ *   null if they haven't configured a host (=> use the system SMTP).
+ */
+function getUserSmtpConfig(settings) {
+  if (!settings || !settings.smtp_host) return null;
+
+  const config = {
+    host: settings.smtp_host,
+    port: parseInt(settings.smtp_port, 10),
+    secure: (settings.smtp_secure === 'true')
+  };
+  if (settings.smtp_user) {
+    config.auth = { user: settings.smtp_user, pass: settings.smtp_pass };
+  }
+  return config;
+}
+
+/**
+ * getUserSmtpSettings(db, email):
+ *   The user's decrypted SMTP settings for sendMail() (empty strings when
+ *   not set), or null if the user no longer exists.
+ */
+function getUserSmtpSettings(db, email) {
+  const row = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+  if (!row) return null;
+  return {
+    smtp_host: decrypt(row.smtp_host) || '',
+    smtp_port: decrypt(row.smtp_port) || '',
+    smtp_user: decrypt(row.smtp_user) || '',
+    smtp_pass: decrypt(row.smtp_pass) || '',
+    smtp_secure: decrypt(row.smtp_secure) || ''
+  };
+}
+
+/**
+ * sendMail(message, userSmtp):
+ *   message = nodemailer mail options ({ to, subject, html, text, attachments }).
+ *   userSmtp = optional decrypted user SMTP settings; when they include a
+ *   host the mail goes through that server (from the SMTP user if it is an
+ *   address), otherwise through the system SMTP. Rejects if sending fails.
+ */
+async function sendMail(message, userSmtp) {
+  const userConfig = getUserSmtpConfig(userSmtp);
+  const transporter = nodemailer.createTransport(userConfig || getSystemSmtpConfig());
+  const from = (userConfig && /@/.test(userSmtp.smtp_user || ''))
+    ? userSmtp.smtp_user
+    : getSystemFromAddress();
+  return transporter.sendMail({ from, ...message });
+}
+
+/**
+ * sendResultsEmail(to, result, subtitle, userSmtp):
+ *   Emails a scan result: HTML summary (see toDigestHtml) with the full CSV
+ *   attached. Used by scheduled scans and "Email me these results".
+ */
+async function sendResultsEmail(to, result, subtitle, userSmtp) {
+  const summary = summarizeResult(result);
+  const scope = result.includeAll ? 'devices in inventory' : `devices expiring within ${result.windowDays} days`;
+  const date = result.generatedAt.substring(0, 10);
+
+  return sendMail({
+    to,
+    subject: `Peplink Warranty Digest: ${summary.deviceCount} ${scope} (${summary.expiredCount} expired)`,
+    html: toDigestHtml(result, subtitle),
+    text: `${summary.deviceCount} ${scope}, ${summary.expiredCount} already expired. Full list attached as CSV.`,
+    attachments: [{
+      filename: `warranty_results_${date}.csv`,
+      content: toCsv(result),
+      contentType: 'text/csv'
+    }]
+  }, userSmtp);
+}
+
+module.exports = {
+  validateSmtpSettings,
+  getUserSmtpSettings,
+  sendMail,
+  sendResultsEmail
+};
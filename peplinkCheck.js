@@ -2,104 +2,360 @@
  * peplinkCheck.js
  *
  * Contains a function that uses Peplink InControl2 API to list organizations,
- * devices, check warranties within 90 days, etc. Returns a CSV or similar.
+ * devices, check warranties within a configurable window (90 days by default),
+ * etc. Returns a structured result object (see below) that the routes render
+ * to HTML, CSV, etc.
  ******************************************************************************/
 
-const fetch = require('node-fetch'); // If on Node <18
-// For Node 18+ built-in fetch, just remove this import.
+const { normalizeFetchOptions, mapWithConcurrency } = require('./fetchUtils');
+const { InControlClient, PermissionDeniedError } = require('./incontrolClient');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 90;
+
+/**
+ * buildDeviceRecord(org, device, now, profile):
+ *   Normalizes a raw /rest/o/{id}/d device into the record shape used by
+ *   every output format, tagged with the credential profile it came from.
+ *   Returns null if the device has no serial/expiry.
+ */
+function buildDeviceRecord(org, device, now, profile) {
+  if (!device.sn || !device.expiry_date) {
+    return null;
+  }
+  // remove hyphens
+  const serial = device.sn.replace(/[^a-zA-Z0-9]/g, '');
+  const expiryDateStr = device.expiry_date.substring(0,10); // just YYYY-MM-DD
+  const expiryDate = new Date(expiryDateStr);
+
+  return {
+    profile_id: profile.id,
+    profile_name: profile.name,
+    org_id: org.id,
+    org_name: org.name,
+    serial_number: serial,
+    device_name: device.name || '',
+    product_name: device.product_name || '',
+    product_code: device.product_code || '',
+    group_name: device.group_name || '',
+    online_status: device.status || '',
+    firmware: device.fw_ver || '',
+    warranty_expiry_date: expiryDateStr,
+    days_until_expiry: Math.ceil((expiryDate - now) / DAY_MS),
+    is_expired: !!device.expired
+  };
+}
+
+/**
+ * listOrganizations(credentials):
+ *   Returns [{ id, name }] for every org the credentials
+ *   ({ clientId, clientSecret, apiBaseUrl }) can reach.
+ *   Used to populate the org filter on the warranty check form.
+ */
+async function listOrganizations(credentials) {
+  const client = new InControlClient(credentials);
+  const orgs = await client.getOrganizations();
+  return orgs.map(org => ({ id: org.id, name: org.name }));
+}
+
+/**
+ * verifyCredentials(credentials):
+ *   Runs a fresh (uncached) token exchange and lists the orgs the
+ *   credentials can reach. Resolves to [{ id, name }]; rejects with an
+ *   incontrolClient.js error class when the credentials don't work.
+ */
+async function verifyCredentials(credentials) {
+  // One quick retry is enough here: a person is waiting on the save
+  const client = new InControlClient({ ...credentials, fetchOptions: { maxRetries: 1 } });
+  client.invalidateToken();
+  const orgs = await client.getOrganizations();
+  return orgs.map(org => ({ id: org.id, name: org.name }));
+}
+
+/**
+ * normalizeScanOptions(options):
+ *   Fills in defaults for the per-run scan options:
+ *     windowDays - include devices expiring within this many days (default 90)
+ *     includeAll - ignore the window and return every device (inventory mode)
+ *     orgIds     - only scan these org IDs (null/empty => all orgs)
+ */
+function normalizeScanOptions(options = {}) {
+  const windowDays = parseInt(options.windowDays, 10);
+  const orgIds = Array.isArray(options.orgIds)
+    ? options.orgIds.map(id => String(id)).filter(Boolean)
+    : [];
+
+  return {
+    windowDays: (windowDays > 0) ? windowDays : DEFAULT_WINDOW_DAYS,
+    includeAll: !!options.includeAll,
+    orgIds: orgIds.length ? orgIds : null
+  };
+}
 
 /**
- * runWarrantyCheck(clientId, clientSecret):
- *   - Calls OAuth2 with clientId/Secret (if needed), or uses a direct token approach
- *   - Lists orgs
+ * runWarrantyCheck(credentials, options):
+ *   - Gets an OAuth2 token for credentials.clientId/clientSecret (cached by
+ *     incontrolClient.js), talking to credentials.apiBaseUrl if set.
+ *     credentials.id / credentials.name (a credential profile) are copied
+ *     onto every org and device in the result.
+ *   - Lists orgs (optionally limited to options.orgIds)
  *   - Lists devices
- *   - Builds CSV for warranties expiring in 90 days
+ *   - Collects devices whose warranty expires within options.windowDays
+ *     (or already has), or every device when options.includeAll is set
+ *   - Reports progress through options.onProgress({ orgsTotal, orgsDone,
+ *     devicesSeen }) after the org list and after each org, if given
+ *
+ * Device lists are fetched in parallel, at most options.concurrency orgs at a
+ * time, with per-request timeouts and retries (see fetchUtils.js for
+ * options.timeoutMs / options.maxRetries and the .env defaults).
+ *
+ * Failures that stop the whole scan (token, org list) reject with one of the
+ * incontrolClient.js error classes; per-org failures are recorded on the org.
+ *
+ * Returns:
+ *   {
+ *     generatedAt: ISO timestamp of the scan,
+ *     windowDays:  the expiry window used,
+ *     includeAll:  true if every device was returned regardless of expiry,
+ *     orgFilter:   the org IDs the scan was limited to, or null for all,
+ *     orgs:    [{ profileId, profileName, id, name,
+ *                status: 'ok' | 'failed' | 'permission_denied',
+ *                httpStatus, error, deviceCount }],
+ *     devices: [{ profile_id, profile_name, org_id, org_name, serial_number,
+ *                 device_name, product_name, product_code, group_name,
+ *                 online_status, firmware, warranty_expiry_date,
+ *                 days_until_expiry, is_expired }],
+ *     inventory: [{ profile_id, org_id, serial_number, warranty_expiry_date }]
+ *                for every device seen, in or out of the window (used to
+ *                tell renewed devices from removed ones across scans)
+ *   }
  */
-async function runWarrantyCheck(clientId, clientSecret) {
-  // example: call https://api.ic.peplink.com/api/oauth2/token if needed
-  // We'll do something simpler here: assume clientId,clientSecret => get token => call /rest/o, etc.
-
-  // Pseudo-code: get token
-  const tokenBody = new URLSearchParams({
-    client_id: clientId,
-    client_secret: clientSecret,
-    grant_type: 'client_credentials'
-  });
-  const tokenRes = await fetch('https://api.ic.peplink.com/api/oauth2/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: tokenBody
-  });
+async function runWarrantyCheck(credentials, options = {}) {
+  const scanOptions = normalizeScanOptions(options);
+  const onProgress = (typeof options.onProgress === 'function') ? options.onProgress : () => {};
 
-  if (!tokenRes.ok) {
-    const errTxt = await tokenRes.text();
-    throw new Error(`Failed to get token: ${tokenRes.status} - ${errTxt}`);
-  }
+  const fetchOptions = normalizeFetchOptions(options);
 
-  const tokenJson = await tokenRes.json();
-  const accessToken = tokenJson.access_token;
-  if (!accessToken) {
-    throw new Error('No access_token in token response');
+  const client = new InControlClient({ ...credentials, fetchOptions });
+  const profile = { id: credentials.id || null, name: credentials.name || '' };
+  let orgs = await client.getOrganizations();
+  if (scanOptions.orgIds) {
+    orgs = orgs.filter(org => scanOptions.orgIds.includes(String(org.id)));
   }
 
-  // Now call /rest/o to get orgs
-  const orgRes = await fetch('https://api.ic.peplink.com/rest/o', {
-    headers: { 'Authorization': `Bearer ${accessToken}` }
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + scanOptions.windowDays * DAY_MS);
+  const result = {
+    generatedAt: now.toISOString(),
+    windowDays: scanOptions.windowDays,
+    includeAll: scanOptions.includeAll,
+    orgFilter: scanOptions.orgIds,
+    orgs: orgs.map(org => ({
+      profileId: profile.id, profileName: profile.name,
+      id: org.id, name: org.name, status: 'ok', httpStatus: null, error: null, deviceCount: 0
+    })),
+    devices: [],
+    inventory: []
+  };
+  let orgsDone = 0;
+  let devicesSeen = 0;
+  onProgress({ orgsTotal: orgs.length, orgsDone, devicesSeen });
+
+  // Fetch each org's devices, a bounded number at a time. Records are
+  // collected per org so the final list keeps the org order from /rest/o.
+  const recordsByOrg = await mapWithConcurrency(orgs, fetchOptions.concurrency, async (org, index) => {
+    const orgEntry = result.orgs[index];
+    const records = [];
+
+    try {
+      const devices = await client.getDevices(org.id);
+      orgEntry.httpStatus = 200;
+      orgEntry.deviceCount = devices.length;
+      devicesSeen += devices.length;
+
+      for (const device of devices) {
+        const record = buildDeviceRecord(org, device, now, profile);
+        if (!record) continue;
+        result.inventory.push({
+          profile_id: record.profile_id,
+          org_id: record.org_id,
+          serial_number: record.serial_number,
+          warranty_expiry_date: record.warranty_expiry_date
+        });
+        if (scanOptions.includeAll || new Date(record.warranty_expiry_date) <= cutoff) {
+          records.push(record);
+        }
+      }
+    } catch (err) {
+      console.error(err.message);
+      orgEntry.status = (err instanceof PermissionDeniedError) ? 'permission_denied' : 'failed';
+      orgEntry.httpStatus = err.status || null;
+      orgEntry.error = err.message;
+    }
+
+    orgsDone++;
+    onProgress({ orgsDone, devicesSeen });
+    return records;
   });
-  if (!orgRes.ok) {
-    const orgErr = await orgRes.text();
-    throw new Error(`Failed to fetch orgs: ${orgRes.status} - ${orgErr}`);
-  }
-  const orgData = await orgRes.json();
-  const orgs = orgData.data || [];
 
-  if (!Array.isArray(orgs) || orgs.length === 0) {
-    return 'org_name,serial_number,warranty_expiry_date,days_until_expiry,is_expired\n(No organizations found)';
+  result.devices = [].concat(...recordsByOrg);
+  return result;
+}
+
+/**
+ * runProfilesCheck(profiles, options):
+ *   Runs runWarrantyCheck() for several credential profiles at once and
+ *   combines the results. Each profile is { id, name, clientId, clientSecret,
+ *   apiBaseUrl, orgIds } - orgIds limits that profile to some orgs.
+ *   Progress is summed across profiles.
+ *
+ *   A profile that fails outright (bad credentials, unreachable) is recorded
+ *   in result.profiles with its error instead of failing the whole scan; only
+ *   when every profile fails is the first error thrown.
+ *
+ * Returns the runWarrantyCheck() shape plus:
+ *   profiles:  [{ id, name, status: 'ok' | 'failed', error }]
+ *   orgFilter: ["<profileId>:<orgId>", ...] or null
+ */
+async function runProfilesCheck(profiles, options = {}) {
+  const scanOptions = normalizeScanOptions(options);
+  const onProgress = (typeof options.onProgress === 'function') ? options.onProgress : () => {};
+
+  const progress = profiles.map(() => ({ orgsTotal: 0, orgsDone: 0, devicesSeen: 0 }));
+  const reportProgress = () => onProgress({
+    orgsTotal: progress.reduce((sum, p) => sum + p.orgsTotal, 0),
+    orgsDone: progress.reduce((sum, p) => sum + p.orgsDone, 0),
+    devicesSeen: progress.reduce((sum, p) => sum + p.devicesSeen, 0)
+  });
+
+  const parts = await Promise.all(profiles.map(async (profile, index) => {
+    try {
+      const result = await runWarrantyCheck(profile, {
+        ...options,
+        orgIds: profile.orgIds,
+        onProgress: (p) => {
+          Object.assign(progress[index], p);
+          reportProgress();
+        }
+      });
+      return { profile, result, error: null };
+    } catch (err) {
+      console.error(`Scan failed for profile ${profile.id}:`, err.message);
+      return { profile, result: null, error: err };
+    }
+  }));
+
+  if (parts.length && parts.every(part => part.error)) {
+    throw parts[0].error;
   }
 
-  let csvLines = ['org_name,serial_number,warranty_expiry_date,days_until_expiry,is_expired'];
-  const now = new Date();
-  const cutoff = new Date(now.getTime() + 90*24*60*60*1000);
-
-  // For each org, fetch devices
-  for (const org of orgs) {
-    const orgId = org.id;
-    const devUrl = `https://api.ic.peplink.com/rest/o/${orgId}/d?includeWarranty=true`;
-    const devRes = await fetch(devUrl, {
-      headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
-    if (!devRes.ok) {
-      console.error(`Failed devices for org ${orgId}`);
-      continue;
+  const orgFilter = [];
+  for (const profile of profiles) {
+    for (const orgId of profile.orgIds || []) {
+      orgFilter.push(`${profile.id}:${orgId}`);
     }
-    const devData = await devRes.json();
-    const devices = devData.data || [];
+  }
 
-    for (const device of devices) {
-      if (!device.sn || !device.expiry_date) {
-        continue;
-      }
-      // remove hyphens
-      const serial = device.sn.replace(/[^a-zA-Z0-9]/g, '');
-      const expiryDateStr = device.expiry_date.substring(0,10); // just YYYY-MM-DD
-      const expiryDate = new Date(expiryDateStr);
-
-      if (expiryDate <= cutoff) {
-        const daysLeft = Math.ceil((expiryDate - now)/(1000*60*60*24));
-        const isExpired = device.expired ? 'YES' : 'NO';
-
-        csvLines.push(
-          `"${org.name}","${serial}","${expiryDateStr}","${daysLeft}","${isExpired}"`
-        );
-      }
+  return {
+    generatedAt: new Date().toISOString(),
+    windowDays: scanOptions.windowDays,
+    includeAll: scanOptions.includeAll,
+    orgFilter: orgFilter.length ? orgFilter : null,
+    profiles: parts.map(part => ({
+      id: part.profile.id,
+      name: part.profile.name,
+      status: part.error ? 'failed' : 'ok',
+      error: part.error ? (part.error.userMessage || part.error.message) : null
+    })),
+    orgs: [].concat(...parts.map(part => part.result ? part.result.orgs : [])),
+    devices: [].concat(...parts.map(part => part.result ? part.result.devices : [])),
+    inventory: [].concat(...parts.map(part => part.result ? part.result.inventory : []))
+  };
+}
+
+/**
+ * orgKey(profileId, orgId):
+ *   Orgs are identified per profile, since two Peplink IDs may share an org.
+ */
+function orgKey(profileId, orgId) {
+  return `${profileId}:${orgId}`;
+}
+
+/**
+ * failedScanTargets(result):
+ *   What a "retry failed" run has to scan: [{ profileId, orgIds }]. A
+ *   profile that failed outright is re-scanned with its original org filter
+ *   (orgIds null => all of its orgs).
+ */
+function failedScanTargets(result) {
+  const targets = new Map();
+  for (const profile of result.profiles || []) {
+    if (profile.status !== 'ok') {
+      const prefix = `${profile.id}:`;
+      const orgIds = (result.orgFilter || [])
+        .filter(key => key.startsWith(prefix))
+        .map(key => key.substring(prefix.length));
+      targets.set(String(profile.id), { profileId: profile.id, orgIds: orgIds.length ? orgIds : null });
+    }
+  }
+  for (const org of result.orgs) {
+    if (org.status === 'ok') continue;
+    const key = String(org.profileId);
+    if (!targets.has(key)) {
+      targets.set(key, { profileId: org.profileId, orgIds: [] });
+    }
+    const target = targets.get(key);
+    if (target.orgIds && !target.orgIds.includes(String(org.id))) {
+      target.orgIds.push(String(org.id));
     }
   }
+  return Array.from(targets.values());
+}
 
-  if (csvLines.length === 1) {
-    return csvLines.join('\n') + '\n(No devices expiring within 90 days)';
+/**
+ * mergeScanResults(base, retry):
+ *   Folds a re-scan of some orgs (e.g. the failed ones) back into an earlier
+ *   result: each re-scanned org's status and devices replace the old ones,
+ *   and re-scanned profiles replace their old status. Devices stay grouped in
+ *   org order; orgs that weren't in base (a profile that had failed) go last.
+ */
+function mergeScanResults(base, retry) {
+  const retried = new Map(retry.orgs.map(org => [orgKey(org.profileId, org.id), org]));
+  const orgs = base.orgs
+    .map(org => retried.get(orgKey(org.profileId, org.id)) || org);
+  const baseKeys = new Set(orgs.map(org => orgKey(org.profileId, org.id)));
+  for (const org of retry.orgs) {
+    if (!baseKeys.has(orgKey(org.profileId, org.id))) {
+      orgs.push(org);
+    }
   }
+  const orgOrder = new Map(orgs.map((org, index) => [orgKey(org.profileId, org.id), index]));
+  const orderOf = (device) => orgOrder.get(orgKey(device.profile_id, device.org_id));
+
+  const devices = base.devices
+    .filter(device => !retried.has(orgKey(device.profile_id, device.org_id)))
+    .concat(retry.devices)
+    .map((device, index) => ({ device, index }))
+    .sort((a, b) => (orderOf(a.device) - orderOf(b.device)) || (a.index - b.index))
+    .map(entry => entry.device);
+
+  const retriedProfiles = new Map((retry.profiles || []).map(p => [String(p.id), p]));
+  const profiles = (base.profiles || []).map(p => retriedProfiles.get(String(p.id)) || p);
+
+  const inventory = (base.inventory || [])
+    .filter(device => !retried.has(orgKey(device.profile_id, device.org_id)))
+    .concat(retry.inventory || []);
 
-  return csvLines.join('\n');
+  return { ...base, profiles, orgs, devices, inventory };
 }
 
-module.exports = { runWarrantyCheck };
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  failedScanTargets,
+  mergeScanResults,
+  normalizeScanOptions,
+  listOrganizations,
+  verifyCredentials,
+  runWarrantyCheck,
+  runProfilesCheck
+};
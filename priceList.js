@@ -0,0 +1,236 @@
+/******************************************************************************
+ * priceList.js
+ *
+ * Site-wide Care Plan renewal price list, edited by admins (ADMIN_EMAILS).
+ * Each entry maps a product code or model name (matched case-insensitively)
+ * to a renewal price for a term in months. Used to estimate what upcoming
+ * renewals will cost, per org, per month and in total.
+ *
+ * Prices are the same for every user and are not encrypted.
+ ******************************************************************************/
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * getCurrency(): PRICE_CURRENCY from .env (ISO 4217), default USD.
+ */
+function getCurrency() {
+  return (process.env.PRICE_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+}
+
+/**
+ * listPrices(db): all entries, by match key then term.
+ */
+function listPrices(db) {
+  return db.prepare('SELECT * FROM price_list ORDER BY match_key COLLATE NOCASE, term_months').all();
+}
+
+/**
+ * listTerms(db): the distinct terms (months) that have prices, ascending.
+ */
+function listTerms(db) {
+  return db.prepare('SELECT DISTINCT term_months FROM price_list ORDER BY term_months')
+    .all()
+    .map(row => row.term_months);
+}
+
+/**
+ * validatePrice(entry):
+ *   entry = { matchKey, termMonths, price } (strings from a form or CSV).
+ *   Returns { entry, error } with numbers parsed.
+ */
+function validatePrice(entry) {
+  const matchKey = String(entry.matchKey || '').trim();
+  const termMonths = Number(entry.termMonths);
+  // Allow "$1,234.50" style input
+  const priceText = String(entry.price || '').trim().replace(/^[^0-9-]+/, '').replace(/,/g, '');
+  const price = /^-?\d+(\.\d+)?$/.test(priceText) ? Number(priceText) : NaN;
+
+  let error = null;
+  if (!matchKey) {
+    error = 'A product code or model is required.';
+  } else if (!Number.isInteger(termMonths) || termMonths < 1 || termMonths > 120) {
+    error = `Term for "${matchKey}" must be a whole number of months (1-120).`;
+  } else if (!Number.isFinite(price) || price < 0) {
+    error = `Price for "${matchKey}" must be a positive number.`;
+  }
+  return { entry: { matchKey, termMonths, price }, error };
+}
+
+/**
+ * savePrice(db, entry): inserts or replaces the price for matchKey + term.
+ */
+function savePrice(db, entry) {
+  db.prepare(`
+    INSERT INTO price_list (match_key, term_months, price, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (match_key, term_months) DO UPDATE SET price = excluded.price, updated_at = excluded.updated_at
+  `).run(entry.matchKey, entry.termMonths, entry.price, new Date().toISOString());
+}
+
+/**
+ * deletePrice(db, id)
+ */
+function deletePrice(db, id) {
+  db.prepare('DELETE FROM price_list WHERE id = ?').run(id);
+}
+
+/**
+ * parseCsv(text):
+ *   Minimal RFC 4180 parser (quoted fields, doubled quotes, CRLF). Returns
+ *   an array of rows, each an array of strings; blank lines are skipped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * importPricesCsv(db, text, replace):
+ *   CSV with a header row naming the columns: "product" (or product_code /
+ *   model / match), "term_months" (or term) and "price". Every row is
+ *   validated first; nothing is saved if any row is invalid. With replace
+ *   set, the existing list is cleared first.
+ *   Returns { imported, errors[] }.
+ */
+function importPricesCsv(db, text, replace) {
+  const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length < 2) {
+    return { imported: 0, errors: ['The CSV needs a header row and at least one price.'] };
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  const column = (...names) => header.findIndex(name => names.includes(name));
+  const keyCol = column('product', 'product_code', 'model', 'match', 'match_key');
+  const termCol = column('term_months', 'term');
+  const priceCol = column('price');
+  if (keyCol < 0 || termCol < 0 || priceCol < 0) {
+    return { imported: 0, errors: ['The header row must name the columns product, term_months and price.'] };
+  }
+
+  const entries = [];
+  const errors = [];
+  rows.slice(1).forEach((row, index) => {
+    const { entry, error } = validatePrice({
+      matchKey: row[keyCol], termMonths: row[termCol], price: row[priceCol]
+    });
+    if (error) {
+      errors.push(`Line ${index + 2}: ${error}`);
+    } else {
+      entries.push(entry);
+    }
+  });
+  if (errors.length) {
+    return { imported: 0, errors };
+  }
+
+  db.transaction(() => {
+    if (replace) db.prepare('DELETE FROM price_list').run();
+    entries.forEach(entry => savePrice(db, entry));
+  })();
+  return { imported: entries.length, errors: [] };
+}
+
+/**
+ * estimateRenewalCost(devices, prices, termMonths):
+ *   Prices each device for the given term, by product code first and then
+ *   model name. Returns:
+ *     { termMonths, total, pricedCount,
+ *       unpriced: [device, ...],
+ *       byOrg:   [{ profile_name, org_name, count, unpricedCount, cost }],
+ *       byMonth: [{ month: 'YYYY-MM' | 'expired', count, unpricedCount, cost }] }
+ *   Already-expired devices are grouped under 'expired' in byMonth.
+ */
+function estimateRenewalCost(devices, prices, termMonths) {
+  const byKey = new Map();
+  for (const entry of prices) {
+    if (entry.term_months === termMonths) {
+      byKey.set(entry.match_key.toLowerCase(), entry.price);
+    }
+  }
+  const priceOf = (device) => {
+    for (const key of [device.product_code, device.product_name]) {
+      if (key && byKey.has(key.toLowerCase())) return byKey.get(key.toLowerCase());
+    }
+    return null;
+  };
+
+  const estimate = { termMonths, total: 0, pricedCount: 0, unpriced: [], byOrg: [], byMonth: [] };
+  const orgs = new Map();
+  const months = new Map();
+  const bucket = (map, key, init) => {
+    if (!map.has(key)) map.set(key, { ...init, count: 0, unpricedCount: 0, cost: 0 });
+    return map.get(key);
+  };
+
+  for (const device of devices) {
+    const price = priceOf(device);
+    const org = bucket(orgs, `${device.profile_id}:${device.org_id}`,
+      { profile_name: device.profile_name, org_name: device.org_name });
+    const monthKey = device.is_expired ? 'expired' : device.warranty_expiry_date.substring(0, 7);
+    const month = bucket(months, monthKey, { month: monthKey });
+
+    for (const entry of [org, month]) {
+      entry.count++;
+      if (price === null) {
+        entry.unpricedCount++;
+      } else {
+        entry.cost += price;
+      }
+    }
+    if (price === null) {
+      estimate.unpriced.push(device);
+    } else {
+      estimate.pricedCount++;
+      estimate.total += price;
+    }
+  }
+
+  estimate.byOrg = Array.from(orgs.values()).sort((a, b) => b.cost - a.cost);
+  estimate.byMonth = Array.from(months.values())
+    .sort((a, b) => (a.month === 'expired' ? -1 : b.month === 'expired' ? 1 : a.month.localeCompare(b.month)));
+  return estimate;
+}
+
+module.exports = {
+  getCurrency,
+  listPrices,
+  listTerms,
+  validatePrice,
+  savePrice,
+  deletePrice,
+  importPricesCsv,
+  estimateRenewalCost
+};
@@ -0,0 +1,716 @@
+/******************************************************************************
+ * resultFormats.js
+ *
+ * Renders the structured result of runWarrantyCheck() into the various output
+ * formats (CSV download, HTML table, versioned JSON / NDJSON). Nothing here
+ * parses strings back into data: every format is built from the same result
+ * object.
+ ******************************************************************************/
+
+// Every column a device record can be shown with, in display order.
+// label is the CSV/table header, title what the column chooser shows.
+const ALL_COLUMNS = [
+  { key: 'profile_name', label: 'profile_name', title: 'Credential profile' },
+  { key: 'org_name', label: 'org_name', title: 'Organization' },
+  { key: 'device_name', label: 'device_name', title: 'Device name' },
+  { key: 'serial_number', label: 'serial_number', title: 'Serial number' },
+  { key: 'product_name', label: 'model', title: 'Model' },
+  { key: 'product_code', label: 'product_code', title: 'Product code' },
+  { key: 'group_name', label: 'group_name', title: 'Group' },
+  { key: 'online_status', label: 'online_status', title: 'Online status' },
+  { key: 'firmware', label: 'firmware', title: 'Firmware' },
+  { key: 'warranty_expiry_date', label: 'warranty_expiry_date', title: 'Warranty expiry date' },
+  { key: 'days_until_expiry', label: 'days_until_expiry', title: 'Days until expiry' },
+  { key: 'is_expired', label: 'is_expired', title: 'Expired' }
+];
+
+// Default columns for CSV and the results table
+const DEFAULT_COLUMN_KEYS = [
+  'profile_name', 'org_name', 'serial_number', 'warranty_expiry_date', 'days_until_expiry', 'is_expired'
+];
+const COLUMNS = ALL_COLUMNS.filter(col => DEFAULT_COLUMN_KEYS.includes(col.key));
+
+/**
+ * resolveColumns(keys):
+ *   Column definitions for a saved selection of keys, in display order.
+ *   Unknown keys are ignored; an empty selection means the defaults.
+ */
+function resolveColumns(keys) {
+  const wanted = Array.isArray(keys) ? keys.map(String) : [];
+  const columns = ALL_COLUMNS.filter(col => wanted.includes(col.key));
+  return columns.length ? columns : COLUMNS;
+}
+
+/**
+ * escapeHtml(value):
+ *   Escapes a value for safe inclusion in HTML text or attribute values.
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * formatCell(key, value):
+ *   Converts a device record value to its display/CSV string.
+ */
+function formatCell(key, value) {
+  if (typeof value === 'boolean') {
+    return value ? 'YES' : 'NO';
+  }
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * csvField(value):
+ *   Quotes a single CSV field, doubling any embedded quotes (RFC 4180).
+ */
+function csvField(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+// Columns for notices sent to a single customer (no profile/org: it's theirs)
+const NOTICE_COLUMNS = [
+  { key: 'serial_number', label: 'serial_number' },
+  { key: 'warranty_expiry_date', label: 'warranty_expiry_date' },
+  { key: 'days_until_expiry', label: 'days_until_expiry' },
+  { key: 'is_expired', label: 'is_expired' }
+];
+
+/**
+ * toCsv(result, columns):
+ *   Header line + one line per device. An empty result is just the header.
+ *   columns defaults to COLUMNS.
+ */
+function toCsv(result, columns = COLUMNS) {
+  const lines = [columns.map(col => col.label).join(',')];
+  for (const device of (result && result.devices) || []) {
+    lines.push(columns.map(col => csvField(formatCell(col.key, device[col.key]))).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * toTextTable(result, columns):
+ *   A plain-text table for a terminal: each column padded to its widest
+ *   value, with a rule under the header. columns defaults to COLUMNS.
+ */
+function toTextTable(result, columns = COLUMNS) {
+  const rows = [columns.map(col => col.label)];
+  for (const device of (result && result.devices) || []) {
+    rows.push(columns.map(col => formatCell(col.key, device[col.key])));
+  }
+  const widths = columns.map((col, i) => Math.max(...rows.map(row => row[i].length)));
+  const line = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * toHtmlTable(result, columns):
+ *   Builds the striped results table, or a short notice if nothing matched.
+ *   columns defaults to COLUMNS. Rows are coloured by urgency bucket and
+ *   carry data-org / data-org-name / data-days / data-expired for the
+ *   interactive filters on the results page.
+ */
+function toHtmlTable(result, columns = COLUMNS) {
+  if (!result) {
+    return '<p>No data.</p>';
+  }
+  if (!result.orgs.length) {
+    return '<p>No organizations found.</p>';
+  }
+  if (!result.devices.length) {
+    return result.includeAll
+      ? '<p>No devices found.</p>'
+      : `<p>No devices expiring within ${escapeHtml(result.windowDays)} days.</p>`;
+  }
+
+  let thead = '<tr>';
+  for (const col of columns) {
+    thead += `<th data-key="${escapeHtml(col.key)}">${escapeHtml(col.label)}</th>`;
+  }
+  thead += '</tr>';
+
+  let tbody = '';
+  for (const device of result.devices) {
+    const rowClass = urgencyBucket(device).rowClass;
+    tbody += `<tr${rowClass ? ` class="${rowClass}"` : ''} data-org="${escapeHtml(`${device.profile_id}:${device.org_id}`)}"` +
+      ` data-org-name="${escapeHtml(device.org_name)}"` +
+      ` data-days="${escapeHtml(device.days_until_expiry)}" data-expired="${device.is_expired ? 1 : 0}">`;
+    for (const col of columns) {
+      tbody += `<td>${escapeHtml(formatCell(col.key, device[col.key]))}</td>`;
+    }
+    tbody += '</tr>';
+  }
+
+  return `
+<table class="table table-striped" id="resultsTable">
+  <thead>${thead}</thead>
+  <tbody>${tbody}</tbody>
+</table>
+  `;
+}
+
+/**
+ * parseResultFilters(query):
+ *   The results page filter state from a query string (the same names the
+ *   page's script puts on the CSV download link):
+ *     q, status (expired | upcoming), min_days, max_days, org ("<profileId>:<orgId>"),
+ *     sort (column key), dir (asc | desc)
+ */
+function parseResultFilters(query = {}) {
+  const number = (value) => (value === undefined || value === '' || isNaN(Number(value))) ? null : Number(value);
+  return {
+    q: String(query.q || '').trim().toLowerCase(),
+    status: ['expired', 'upcoming'].includes(query.status) ? query.status : '',
+    minDays: number(query.min_days),
+    maxDays: number(query.max_days),
+    org: String(query.org || ''),
+    sort: String(query.sort || ''),
+    dir: query.dir === 'desc' ? 'desc' : 'asc'
+  };
+}
+
+/**
+ * compareCells(a, b):
+ *   Numbers numerically, everything else as case-insensitive text. The
+ *   results page script sorts the same way.
+ */
+function compareCells(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && !isNaN(na) && !isNaN(nb)) {
+    return na - nb;
+  }
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+}
+
+/**
+ * filterResult(result, filters, columns):
+ *   A copy of result with only the devices matching the filters (see
+ *   parseResultFilters), sorted if requested. The text search matches the
+ *   displayed value of any of the given columns.
+ */
+function filterResult(result, filters, columns = COLUMNS) {
+  let devices = result.devices.filter(device => {
+    if (filters.status === 'expired' && !device.is_expired) return false;
+    if (filters.status === 'upcoming' && device.is_expired) return false;
+    if (filters.minDays !== null && device.days_until_expiry < filters.minDays) return false;
+    if (filters.maxDays !== null && device.days_until_expiry > filters.maxDays) return false;
+    if (filters.org && `${device.profile_id}:${device.org_id}` !== filters.org) return false;
+    if (filters.q) {
+      return columns.some(col => formatCell(col.key, device[col.key]).toLowerCase().includes(filters.q));
+    }
+    return true;
+  });
+
+  const sortCol = columns.find(col => col.key === filters.sort);
+  if (sortCol) {
+    const sign = filters.dir === 'desc' ? -1 : 1;
+    devices = devices
+      .map((device, index) => ({ device, index }))
+      .sort((a, b) => sign * compareCells(
+        formatCell(sortCol.key, a.device[sortCol.key]),
+        formatCell(sortCol.key, b.device[sortCol.key])) || (a.index - b.index))
+      .map(entry => entry.device);
+  }
+  return { ...result, devices };
+}
+
+// Display labels for org scan statuses
+const ORG_STATUS_LABELS = {
+  ok: 'OK',
+  failed: 'Failed',
+  permission_denied: 'Permission denied'
+};
+
+/**
+ * toOrgStatusTable(result, onlyFailed):
+ *   Table of scanned orgs with their status, HTTP status and error message.
+ *   With onlyFailed, lists just the orgs that did not scan cleanly.
+ */
+function toOrgStatusTable(result, onlyFailed) {
+  const orgs = result.orgs.filter(org => !onlyFailed || org.status !== 'ok');
+
+  let tbody = '';
+  for (const org of orgs) {
+    tbody += `
+    <tr>
+      <td>${escapeHtml(org.profileName)}</td>
+      <td>${escapeHtml(org.name)}</td>
+      <td>${escapeHtml(ORG_STATUS_LABELS[org.status] || org.status)}</td>
+      <td>${escapeHtml(org.httpStatus || '')}</td>
+      <td>${escapeHtml(org.status === 'ok' ? org.deviceCount : '')}</td>
+      <td>${escapeHtml(org.error || '')}</td>
+    </tr>`;
+  }
+
+  return `
+<table class="table table-sm mb-0">
+  <thead><tr><th>Profile</th><th>Organization</th><th>Status</th><th>HTTP</th><th>Devices</th><th>Error</th></tr></thead>
+  <tbody>${tbody}</tbody>
+</table>
+  `;
+}
+
+/**
+ * summarizeResult(result):
+ *   Headline counts plus a per-org breakdown (orgs with matching devices,
+ *   most devices first).
+ */
+function summarizeResult(result) {
+  const byOrg = new Map();
+  let expiredCount = 0;
+  for (const device of result.devices) {
+    if (device.is_expired) expiredCount++;
+    const key = `${device.profile_id}:${device.org_id}`;
+    if (!byOrg.has(key)) {
+      byOrg.set(key, { profile_name: device.profile_name, org_name: device.org_name, count: 0, expired: 0 });
+    }
+    const entry = byOrg.get(key);
+    entry.count++;
+    if (device.is_expired) entry.expired++;
+  }
+  return {
+    deviceCount: result.devices.length,
+    expiredCount,
+    upcomingCount: result.devices.length - expiredCount,
+    failedOrgCount: result.orgs.filter(org => org.status !== 'ok').length
+      + (result.profiles || []).filter(p => p.status !== 'ok').length,
+    byOrg: Array.from(byOrg.values()).sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * toDigestHtml(result, subtitle):
+ *   Self-contained HTML email body (inline styles only, no CDN assets):
+ *   headline counts, per-org breakdown and the device table.
+ */
+function toDigestHtml(result, subtitle) {
+  const summary = summarizeResult(result);
+  const cell = 'style="border:1px solid #ddd;padding:4px 8px;text-align:left"';
+  const scope = result.includeAll
+    ? 'All devices (inventory mode)'
+    : `Devices expiring within ${result.windowDays} days, or already expired`;
+
+  const orgRows = summary.byOrg.map(org => `
+      <tr><td ${cell}>${escapeHtml(org.profile_name)}</td><td ${cell}>${escapeHtml(org.org_name)}</td>
+          <td ${cell}>${org.count}</td><td ${cell}>${org.expired}</td></tr>`).join('');
+
+  const deviceRows = result.devices.map(device => `
+      <tr${device.is_expired ? ' style="background:#fde2e2"' : ''}>${COLUMNS.map(col =>
+        `<td ${cell}>${escapeHtml(formatCell(col.key, device[col.key]))}</td>`).join('')}</tr>`).join('');
+
+  const failedNote = summary.failedOrgCount
+    ? `<p style="color:#b10000"><strong>Warning:</strong> ${summary.failedOrgCount} organization(s)/profile(s) could not be scanned; their devices are not included.</p>`
+    : '';
+
+  return `
+<div style="font-family:Arial,Helvetica,sans-serif;color:#3b5563">
+  <h2 style="margin-bottom:4px">Peplink Warranty Digest</h2>
+  <p style="margin-top:0">${escapeHtml(subtitle || '')}<br>${escapeHtml(scope)}. Scanned ${escapeHtml(result.generatedAt)}.</p>
+  <p><strong>${summary.deviceCount}</strong> device(s): <strong>${summary.expiredCount}</strong> expired,
+     <strong>${summary.upcomingCount}</strong> upcoming.</p>
+  ${failedNote}
+  ${orgRows ? `
+  <h3>By organization</h3>
+  <table style="border-collapse:collapse">
+    <tr><th ${cell}>Profile</th><th ${cell}>Organization</th><th ${cell}>Devices</th><th ${cell}>Expired</th></tr>
+    ${orgRows}
+  </table>` : ''}
+  ${deviceRows ? `
+  <h3>Devices</h3>
+  <table style="border-collapse:collapse;font-size:13px">
+    <tr>${COLUMNS.map(col => `<th ${cell}>${escapeHtml(col.label)}</th>`).join('')}</tr>
+    ${deviceRows}
+  </table>` : '<p>No matching devices.</p>'}
+  <p style="font-size:12px;color:#888">The full list is attached as CSV.</p>
+</div>`;
+}
+
+/**
+ * toNoticeHtml(message, devices):
+ *   HTML email body for a customer notice: the (plain text) message with
+ *   line breaks kept, then that customer's devices. Inline styles only.
+ */
+function toNoticeHtml(message, devices) {
+  const cell = 'style="border:1px solid #ddd;padding:4px 8px;text-align:left"';
+  const deviceRows = devices.map(device => `
+      <tr${device.is_expired ? ' style="background:#fde2e2"' : ''}>${NOTICE_COLUMNS.map(col =>
+        `<td ${cell}>${escapeHtml(formatCell(col.key, device[col.key]))}</td>`).join('')}</tr>`).join('');
+
+  return `
+<div style="font-family:Arial,Helvetica,sans-serif;color:#3b5563">
+  <p>${escapeHtml(message).replace(/\r?\n/g, '<br>')}</p>
+  <table style="border-collapse:collapse;font-size:13px">
+    <tr>${NOTICE_COLUMNS.map(col => `<th ${cell}>${escapeHtml(col.label)}</th>`).join('')}</tr>
+    ${deviceRows}
+  </table>
+</div>`;
+}
+
+/**
+ * formatMoney(amount, currency): e.g. "$1,234.00" (currency = ISO 4217 code).
+ */
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (err) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * toEstimateHtml(estimate, currency):
+ *   Renewal cost estimate (see priceList.estimateRenewalCost) as Bootstrap
+ *   tables: total, per org, per month, and the devices with no price.
+ */
+function toEstimateHtml(estimate, currency) {
+  const money = (amount) => escapeHtml(formatMoney(amount, currency));
+  const unpricedBadge = (count) => count ? ` <span class="badge bg-warning text-dark">${count} unpriced</span>` : '';
+
+  const orgRows = estimate.byOrg.map(org => `
+      <tr><td>${escapeHtml(org.profile_name)}</td><td>${escapeHtml(org.org_name)}</td>
+          <td>${org.count}${unpricedBadge(org.unpricedCount)}</td><td class="text-end">${money(org.cost)}</td></tr>`).join('');
+  const monthRows = estimate.byMonth.map(month => `
+      <tr><td>${month.month === 'expired' ? 'Already expired' : escapeHtml(month.month)}</td>
+          <td>${month.count}${unpricedBadge(month.unpricedCount)}</td><td class="text-end">${money(month.cost)}</td></tr>`).join('');
+  const unpricedRows = estimate.unpriced.map(device => `
+      <tr><td>${escapeHtml(device.org_name)}</td><td>${escapeHtml(device.serial_number)}</td>
+          <td>${escapeHtml(device.product_name)}</td><td>${escapeHtml(device.product_code)}</td></tr>`).join('');
+
+  return `
+<p class="fs-5 mb-2">Estimated total: <strong>${money(estimate.total)}</strong>
+  <small class="text-muted">(${estimate.pricedCount} priced device(s), ${estimate.termMonths}-month term)</small></p>
+${estimate.unpriced.length ? `
+<div class="alert alert-warning py-2">
+  ${estimate.unpriced.length} device(s) have no price for this term and are not included in the total.
+  <details><summary>Show unpriced devices</summary>
+    <table class="table table-sm mb-0 mt-2">
+      <thead><tr><th>Organization</th><th>Serial</th><th>Model</th><th>Product code</th></tr></thead>
+      <tbody>${unpricedRows}</tbody>
+    </table>
+  </details>
+</div>` : ''}
+<div class="row">
+  <div class="col-md-7">
+    <table class="table table-sm">
+      <thead><tr><th>Profile</th><th>Organization</th><th>Devices</th><th class="text-end">Cost</th></tr></thead>
+      <tbody>${orgRows}</tbody>
+    </table>
+  </div>
+  <div class="col-md-5">
+    <table class="table table-sm">
+      <thead><tr><th>Expiry month</th><th>Devices</th><th class="text-end">Cost</th></tr></thead>
+      <tbody>${monthRows}</tbody>
+    </table>
+  </div>
+</div>`;
+}
+
+// Version of the JSON / NDJSON export schema (see toResultJson). Fields may
+// be added within a version; renaming, removing or retyping a field bumps it.
+const RESULT_SCHEMA_VERSION = 1;
+
+// Device record fields in the JSON schema, in order
+const DEVICE_FIELDS = [
+  'profile_id', 'profile_name', 'org_id', 'org_name', 'serial_number', 'device_name',
+  'product_name', 'product_code', 'group_name', 'online_status', 'firmware',
+  'warranty_expiry_date', 'days_until_expiry', 'is_expired'
+];
+
+/**
+ * toJsonDevice(device): a device record with exactly the schema's fields
+ *   (null for any an older stored result doesn't have).
+ */
+function toJsonDevice(device) {
+  const record = {};
+  for (const field of DEVICE_FIELDS) {
+    record[field] = device[field] === undefined ? null : device[field];
+  }
+  record.is_expired = !!device.is_expired;
+  return record;
+}
+
+/**
+ * toJsonMetadata(result): the scan metadata part of the JSON schema.
+ */
+function toJsonMetadata(result) {
+  const summary = summarizeResult(result);
+  return {
+    schema_version: RESULT_SCHEMA_VERSION,
+    generated_at: result.generatedAt,
+    window_days: result.windowDays,
+    include_all: !!result.includeAll,
+    org_filter: result.orgFilter || null,
+    summary: {
+      device_count: summary.deviceCount,
+      expired_count: summary.expiredCount,
+      upcoming_count: summary.upcomingCount,
+      failed_org_count: summary.failedOrgCount
+    },
+    profiles: (result.profiles || []).map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      status: profile.status,
+      error: profile.error || null
+    })),
+    orgs: result.orgs.map(org => ({
+      profile_id: org.profileId,
+      profile_name: org.profileName,
+      org_id: org.id,
+      org_name: org.name,
+      status: org.status,
+      http_status: org.httpStatus === undefined ? null : org.httpStatus,
+      error: org.error || null,
+      device_count: org.deviceCount === undefined ? null : org.deviceCount
+    }))
+  };
+}
+
+/**
+ * toResultJson(result):
+ *   The result in the versioned JSON schema (documented in the README):
+ *     { schema_version, generated_at, window_days, include_all, org_filter,
+ *       summary: { device_count, expired_count, upcoming_count, failed_org_count },
+ *       profiles: [{ id, name, status, error }],
+ *       orgs: [{ profile_id, profile_name, org_id, org_name, status,
+ *                http_status, error, device_count }],
+ *       devices: [{ ...DEVICE_FIELDS }] }
+ */
+function toResultJson(result) {
+  return { ...toJsonMetadata(result), devices: result.devices.map(toJsonDevice) };
+}
+
+/**
+ * toNdjson(result):
+ *   Newline-delimited JSON: a { record_type: 'scan', ... } line with the
+ *   metadata of toResultJson(), then one { record_type: 'device', ... } line
+ *   per device.
+ */
+function toNdjson(result) {
+  const lines = [JSON.stringify({ record_type: 'scan', ...toJsonMetadata(result) })];
+  for (const device of result.devices) {
+    lines.push(JSON.stringify({ record_type: 'device', ...toJsonDevice(device) }));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Urgency buckets for the results dashboard, most urgent first. maxDays is
+// the last day (inclusive) of each bucket; the last one runs to the window.
+const URGENCY_BUCKETS = [
+  { key: 'expired', label: 'Expired', color: '#dc3545', rowClass: 'table-danger', maxDays: -1 },
+  { key: 'under30', label: 'Under 30 days', color: '#fd7e14', rowClass: 'table-warning', maxDays: 29 },
+  { key: 'under60', label: '30 to 60 days', color: '#ffc107', rowClass: '', maxDays: 59 },
+  { key: 'window', label: '60 to 90 days', color: '#0dcaf0', rowClass: '', maxDays: Infinity }
+];
+
+/**
+ * urgencyBucket(device): the URGENCY_BUCKETS entry a device falls in.
+ */
+function urgencyBucket(device) {
+  if (device.is_expired || device.days_until_expiry < 0) {
+    return URGENCY_BUCKETS[0];
+  }
+  return URGENCY_BUCKETS.find(bucket => device.days_until_expiry <= bucket.maxDays);
+}
+
+/**
+ * summarizeUrgency(result, topCount):
+ *   Counts for the results dashboard:
+ *     { buckets: [{ key, label, color, count }], laterCount,
+ *       topOrgs: [{ profile_name, org_name, count, expired }] }
+ *   Buckets are cut at the scan window: the one it ends in is labelled up
+ *   to the window (e.g. "60 to 120 days", "30 to 45 days") and any beyond
+ *   it are left out.
+ *   In inventory mode, devices beyond the window are counted in laterCount
+ *   and left out of the buckets and top orgs.
+ */
+function summarizeUrgency(result, topCount = 5) {
+  const windowDays = result.windowDays;
+  const buckets = [];
+  URGENCY_BUCKETS.forEach((bucket, index) => {
+    const lower = index ? URGENCY_BUCKETS[index - 1].maxDays + 1 : null;
+    if (lower !== null && lower > windowDays) {
+      return;
+    }
+    let label = bucket.label;
+    if (lower !== null && bucket.maxDays > windowDays) {
+      label = lower === windowDays ? `${windowDays} days` : `${lower} to ${windowDays} days`;
+    }
+    buckets.push({ key: bucket.key, label, color: bucket.color, count: 0 });
+  });
+  const orgs = new Map();
+  let laterCount = 0;
+
+  for (const device of result.devices) {
+    if (!device.is_expired && device.days_until_expiry > windowDays) {
+      laterCount++;
+      continue;
+    }
+    buckets.find(bucket => bucket.key === urgencyBucket(device).key).count++;
+
+    const key = `${device.profile_id}:${device.org_id}`;
+    if (!orgs.has(key)) {
+      orgs.set(key, { profile_name: device.profile_name, org_name: device.org_name, count: 0, expired: 0 });
+    }
+    const org = orgs.get(key);
+    org.count++;
+    if (urgencyBucket(device).key === 'expired') org.expired++;
+  }
+
+  return {
+    buckets,
+    laterCount,
+    topOrgs: Array.from(orgs.values())
+      .sort((a, b) => b.count - a.count || b.expired - a.expired || a.org_name.localeCompare(b.org_name))
+      .slice(0, topCount)
+  };
+}
+
+/**
+ * forecastByMonth(result, months):
+ *   Devices whose warranty runs out in each of the next `months` calendar
+ *   months, starting with the month of the scan:
+ *     [{ month: 'YYYY-MM', label: 'Nov 2026', count }]
+ *   Uses every device the scan saw (result.inventory), not just the ones in
+ *   the window; older results fall back to result.devices. Warranties that
+ *   already ran out are not counted.
+ */
+function forecastByMonth(result, months = 12) {
+  const start = new Date(result.generatedAt);
+  const today = result.generatedAt.substring(0, 10);
+  const forecast = [];
+  for (let i = 0; i < months; i++) {
+    const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 1));
+    forecast.push({
+      month: date.toISOString().substring(0, 7),
+      label: date.toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+      count: 0
+    });
+  }
+  const byMonth = new Map(forecast.map(entry => [entry.month, entry]));
+  for (const device of result.inventory || result.devices) {
+    const expiry = device.warranty_expiry_date;
+    if (!expiry || expiry < today) continue;
+    const entry = byMonth.get(expiry.substring(0, 7));
+    if (entry) entry.count++;
+  }
+  return forecast;
+}
+
+/**
+ * toForecastSvg(forecast, windowEnd):
+ *   Inline SVG bar chart of forecastByMonth() - no scripts or external
+ *   assets, so it renders offline and in saved pages. Months that start
+ *   after windowEnd ('YYYY-MM-DD') are drawn in grey.
+ */
+function toForecastSvg(forecast, windowEnd) {
+  const width = 720;
+  const height = 200;
+  const top = 20;
+  const bottom = 30;
+  const slot = width / forecast.length;
+  const barWidth = slot * 0.6;
+  const max = Math.max(1, ...forecast.map(entry => entry.count));
+  const plotHeight = height - top - bottom;
+
+  const bars = forecast.map((entry, i) => {
+    const barHeight = Math.round((entry.count / max) * plotHeight);
+    const x = Math.round(i * slot + (slot - barWidth) / 2);
+    const y = top + plotHeight - barHeight;
+    const fill = `${entry.month}-01` > windowEnd ? '#adb5bd' : '#0d6efd';
+    const center = Math.round(i * slot + slot / 2);
+    return `
+  <g>
+    <title>${escapeHtml(entry.label)}: ${entry.count} device(s)</title>
+    <rect x="${x}" y="${y}" width="${Math.round(barWidth)}" height="${barHeight}" fill="${fill}" rx="2"></rect>
+    <text x="${center}" y="${y - 4}" text-anchor="middle" font-size="11" fill="#212529">${entry.count || ''}</text>
+    <text x="${center}" y="${height - 10}" text-anchor="middle" font-size="11" fill="#6c757d">${escapeHtml(entry.label.replace(/ (\d\d)(\d\d)$/, ' ’$2'))}</text>
+  </g>`;
+  }).join('');
+
+  return `
+<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Warranty expirations per month, next ${forecast.length} months" style="max-height:220px">
+  <line x1="0" y1="${top + plotHeight}" x2="${width}" y2="${top + plotHeight}" stroke="#dee2e6"></line>${bars}
+</svg>`;
+}
+
+/**
+ * toDashboardHtml(result):
+ *   Summary header for the results page: colour-coded urgency bucket counts,
+ *   the orgs with the most expiring devices and a 12-month forecast chart.
+ */
+function toDashboardHtml(result) {
+  const urgency = summarizeUrgency(result);
+  const windowEnd = new Date(new Date(result.generatedAt).getTime() + result.windowDays * 24 * 60 * 60 * 1000)
+    .toISOString().substring(0, 10);
+  const multiProfile = (result.profiles || []).length > 1;
+
+  const cards = urgency.buckets.map(bucket => `
+    <div class="col-6 col-md-3">
+      <div class="card h-100" style="border-left:6px solid ${bucket.color}">
+        <div class="card-body py-2">
+          <div class="fs-3 fw-bold">${bucket.count}</div>
+          <div class="text-muted small">${escapeHtml(bucket.label)}</div>
+        </div>
+      </div>
+    </div>`).join('');
+
+  const orgRows = urgency.topOrgs.map(org => `
+        <tr><td>${escapeHtml(org.org_name)}${multiProfile ? ` <small class="text-muted">(${escapeHtml(org.profile_name)})</small>` : ''}</td>
+            <td class="text-end">${org.count}</td><td class="text-end">${org.expired}</td></tr>`).join('');
+
+  return `
+<div class="row g-2 mb-3">${cards}
+</div>
+${urgency.laterCount ? `<p class="text-muted small">${urgency.laterCount} more device(s) expire after the ${escapeHtml(result.windowDays)}-day window.</p>` : ''}
+<div class="row mb-3">
+  <div class="col-md-4">
+    <h6>Top organizations by expiring devices</h6>
+    ${orgRows ? `
+    <table class="table table-sm">
+      <thead><tr><th>Organization</th><th class="text-end">Expiring</th><th class="text-end">Expired</th></tr></thead>
+      <tbody>${orgRows}</tbody>
+    </table>` : '<p class="text-muted">None.</p>'}
+  </div>
+  <div class="col-md-8">
+    <h6>Expirations over the next 12 months</h6>
+    ${toForecastSvg(forecastByMonth(result), windowEnd)}
+  </div>
+</div>`;
+}
+
+module.exports = {
+  ALL_COLUMNS,
+  COLUMNS,
+  resolveColumns,
+  NOTICE_COLUMNS,
+  escapeHtml,
+  formatCell,
+  toCsv,
+  toTextTable,
+  toHtmlTable,
+  parseResultFilters,
+  filterResult,
+  toOrgStatusTable,
+  summarizeResult,
+  toDigestHtml,
+  toNoticeHtml,
+  formatMoney,
+  toEstimateHtml,
+  URGENCY_BUCKETS,
+  summarizeUrgency,
+  forecastByMonth,
+  toDashboardHtml,
+  RESULT_SCHEMA_VERSION,
+  toResultJson,
+  toNdjson
+};
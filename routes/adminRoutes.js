@@ -0,0 +1,258 @@
+/******************************************************************************
+ * routes/adminRoutes.js
+ *
+ * Site admin pages (ADMIN_EMAILS in .env, see adminUtils.js):
+ *   GET /admin/prices              => Care Plan renewal price list
+ *   POST /admin/prices             => add or update one price
+ *   POST /admin/prices/:id/delete  => delete a price
+ *   POST /admin/prices/import      => import prices from CSV (merge or replace)
+ *   GET /admin/prices/export       => download the price list as CSV
+ ******************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { isAdmin } = require('../adminUtils');
+const { escapeHtml, formatMoney } = require('../resultFormats');
+const {
+  getCurrency, listPrices, validatePrice, savePrice, deletePrice, importPricesCsv
+} = require('../priceList');
+
+function requireLogin(req, res, next) {
+  if (req.session && req.session.userEmail) {
+    return next();
+  }
+  return res.redirect('/login');
+}
+
+function getHeaderHTML(req) {
+  const isLoggedIn = !!req.session.userEmail;
+  const loginLogoutBtn = isLoggedIn
+    ? `<a href="/logout" class="btn btn-lm">Logout</a>`
+    : `<a href="/login" class="btn btn-lm">Login</a>`;
+
+  return `
+<nav class="navbar navbar-expand-lg navbar-light bg-light mb-4">
+  <div class="container-fluid">
+    <a class="navbar-brand" href="https://www.peplinkwarrantycheck.com">
+      <img src="https://f000.backblazeb2.com/file/llama-public/llama-logo.png" 
+           width="176px" height="80px" alt="Logo" class="d-inline-block align-text-top">
+    </a>
+    <button class="navbar-toggler" type="button" data-bs-toggle="collapse" 
+            data-bs-target="#navbarSupportedContent" aria-controls="navbarSupportedContent" 
+            aria-expanded="false" aria-label="Toggle navigation">
+      <span class="navbar-toggler-icon"></span>
+    </button>
+    <div class="collapse navbar-collapse" id="navbarSupportedContent">
+      <ul class="navbar-nav ms-auto mb-2 mb-lg-0">
+        <li class="nav-item"><a class="nav-link" href="/panel">Settings</a></li>
+      </ul>
+      ${loginLogoutBtn}
+    </div>
+  </div>
+</nav>
+  `;
+}
+
+function getFooterHTML() {
+  return `
+<footer class="mt-5 py-3 bg-light footer">
+  <div class="container text-center">
+    <p class="mb-1">&copy; 2024 Llama Networks LLC</p>
+    <small>
+      <a href="https://www.llamanetworks.com/privacy-policy" target="_blank">Privacy Policy</a> | 
+      <a href="https://www.llamanetworks.com/terms-of-use" target="_blank">Terms of Use</a> | 
+      <a href="https://www.llamanetworks.com/cookie-policy" target="_blank">Cookie Policy</a>
+    </small>
+  </div>
+</footer>
+  `;
+}
+
+/**
+ * renderPage(req, title, bodyHtml):
+ *   Full page (header, body, footer) in the same style as the panel.
+ */
+function renderPage(req, title, bodyHtml) {
+  const header = getHeaderHTML(req);
+  const footer = getFooterHTML();
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+  <style>
+    .btn-lm {
+      background-color: #2589BD;
+      color: #ffffff;
+      border: none;
+    }
+    .btn-lm:hover {
+      opacity: 0.9;
+      background-color: #2589BD;
+      color: #ffffff;
+    }
+    body {
+      color: #3b5563;
+    }
+    .btn-delete {
+      background-color: #d9534f;
+      color: #ffffff;
+      border: none;
+    }
+  </style>
+</head>
+<body>
+  ${header}
+  <div class="container">
+    ${bodyHtml}
+  </div>
+  ${footer}
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * requireAdmin: logged in and listed in ADMIN_EMAILS, else 403.
+ */
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.session.userEmail)) {
+    return next();
+  }
+  console.log('DEBUG (Node): Non-admin tried to open', req.originalUrl, '=>', req.session.userEmail);
+  return res.status(403).send(renderPage(req, 'Not Allowed', `
+    <div class="alert alert-danger">Only site administrators can open this page.</div>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>`));
+}
+
+// GET /admin/prices => price list + add form + CSV import
+router.get('/admin/prices', requireLogin, requireAdmin, (req, res) => {
+  const prices = listPrices(req.app.get('db'));
+  const currency = getCurrency();
+
+  const rows = prices.map(entry => `
+      <tr>
+        <td>${escapeHtml(entry.match_key)}</td>
+        <td>${entry.term_months}</td>
+        <td class="text-end">${escapeHtml(formatMoney(entry.price, currency))}</td>
+        <td class="text-muted">${escapeHtml(entry.updated_at)}</td>
+        <td>
+          <form method="POST" action="/admin/prices/${entry.id}/delete" class="d-inline">
+            <button type="submit" class="btn btn-delete btn-sm">Delete</button>
+          </form>
+        </td>
+      </tr>`).join('');
+
+  res.send(renderPage(req, 'Price List', `
+    <h1>Care Plan Price List</h1>
+    <p>Renewal prices used for the cost estimate on the results page. A device is priced by its
+       product code first, then its model name (both matched case-insensitively). Prices are in
+       ${escapeHtml(currency)} (<code>PRICE_CURRENCY</code> in .env).</p>
+
+    ${rows ? `
+    <table class="table table-sm align-middle">
+      <thead><tr><th>Product code / model</th><th>Term (months)</th><th class="text-end">Price</th><th>Updated</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <a href="/admin/prices/export" class="btn btn-secondary btn-sm mb-4">Download as CSV</a>` : '<p class="text-muted">No prices yet.</p>'}
+
+    <form method="POST" action="/admin/prices" class="card card-body mb-3">
+      <h3>Add or Update a Price</h3>
+      <div class="row g-2 align-items-end">
+        <div class="col-md-5">
+          <label class="form-label">Product code or model</label>
+          <input type="text" name="match_key" class="form-control" required placeholder="e.g. MAX-BR1-MINI-LTEA-W-T">
+        </div>
+        <div class="col-md-2">
+          <label class="form-label">Term (months)</label>
+          <input type="number" name="term_months" class="form-control" min="1" max="120" value="12" required>
+        </div>
+        <div class="col-md-3">
+          <label class="form-label">Price</label>
+          <input type="text" name="price" class="form-control" required placeholder="0.00">
+        </div>
+        <div class="col-md-2">
+          <button type="submit" class="btn btn-lm">Save</button>
+        </div>
+      </div>
+    </form>
+
+    <form method="POST" action="/admin/prices/import" class="card card-body mb-3">
+      <h3>Import from CSV</h3>
+      <p class="mb-2">Header row with the columns <code>product</code>, <code>term_months</code> and <code>price</code>,
+         e.g. <code>product,term_months,price</code> / <code>MAX-BR1-MINI-LTEA-W-T,12,79.00</code>.
+         Nothing is imported if any line is invalid.</p>
+      <input type="file" accept=".csv,text/csv" class="form-control mb-2" id="priceFile">
+      <textarea name="csv" id="priceCsv" class="form-control mb-2" rows="6" placeholder="...or paste the CSV here" required></textarea>
+      <div class="form-check mb-2">
+        <input class="form-check-input" type="checkbox" name="replace" id="priceReplace">
+        <label class="form-check-label" for="priceReplace">Replace the whole price list (otherwise merge)</label>
+      </div>
+      <div>
+        <button type="submit" class="btn btn-lm">Import</button>
+      </div>
+    </form>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>
+  <script>
+    // Load the chosen file into the textarea so it posts as a normal form field
+    document.getElementById('priceFile').addEventListener('change', function() {
+      const file = this.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => { document.getElementById('priceCsv').value = reader.result; };
+      reader.readAsText(file);
+    });
+  </script>`));
+});
+
+// POST /admin/prices => add or update one price
+router.post('/admin/prices', requireLogin, requireAdmin, (req, res) => {
+  const { entry, error } = validatePrice({
+    matchKey: req.body.match_key, termMonths: req.body.term_months, price: req.body.price
+  });
+  if (error) {
+    return res.send(renderPage(req, 'Price Not Saved', `
+    <div class="alert alert-danger">${escapeHtml(error)}</div>
+    <a href="/admin/prices" class="btn btn-secondary">Back</a>`));
+  }
+  savePrice(req.app.get('db'), entry);
+  res.redirect('/admin/prices');
+});
+
+// POST /admin/prices/:id/delete => delete a price
+router.post('/admin/prices/:id/delete', requireLogin, requireAdmin, (req, res) => {
+  deletePrice(req.app.get('db'), req.params.id);
+  res.redirect('/admin/prices');
+});
+
+// POST /admin/prices/import => CSV import
+router.post('/admin/prices/import', requireLogin, requireAdmin, (req, res) => {
+  const { imported, errors } = importPricesCsv(req.app.get('db'), req.body.csv, req.body.replace === 'on');
+  console.log('DEBUG (Node): Price list import by', req.session.userEmail, '=>', imported, 'rows,', errors.length, 'errors');
+  if (errors.length) {
+    const items = errors.slice(0, 20).map(e => `<li>${escapeHtml(e)}</li>`).join('');
+    return res.send(renderPage(req, 'Import Failed', `
+    <div class="alert alert-danger">
+      Nothing was imported:
+      <ul class="mb-0">${items}${errors.length > 20 ? `<li>...and ${errors.length - 20} more</li>` : ''}</ul>
+    </div>
+    <a href="/admin/prices" class="btn btn-secondary">Back</a>`));
+  }
+  res.send(renderPage(req, 'Prices Imported', `
+    <h1>${imported} price(s) imported</h1>
+    <a href="/admin/prices" class="btn btn-lm">Back to Price List</a>`));
+});
+
+// GET /admin/prices/export => the price list in the import format
+router.get('/admin/prices/export', requireLogin, requireAdmin, (req, res) => {
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const lines = ['product,term_months,price']
+    .concat(listPrices(req.app.get('db')).map(entry =>
+      [quote(entry.match_key), entry.term_months, entry.price.toFixed(2)].join(',')));
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename="price_list.csv"');
+  res.send(lines.join('\n'));
+});
+
+module.exports = router;
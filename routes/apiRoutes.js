@@ -0,0 +1,140 @@
+/******************************************************************************
+ * routes/apiRoutes.js
+ *
+ * REST API for automation, authenticated with a personal API token (see
+ * apiTokens.js) sent as "Authorization: Bearer <token>". Every response is
+ * JSON except CSV results; errors are { error } with a 4xx status.
+ *
+ *   GET  /api/v1/profiles              => the user's credential profiles (scans:run)
+ *   POST /api/v1/scans                 => start a scan, 202 + job status (scans:run)
+ *   GET  /api/v1/scans/:id             => job status and progress (results:read)
+ *   GET  /api/v1/scans/:id/results     => the finished scan (results:read);
+ *                                         format=json (default, the versioned
+ *                                         schema) or format=csv, plus the
+ *                                         results page filter parameters
+ *
+ * POST /api/v1/scans takes JSON (or form) fields: profile_ids (default all),
+ * org_ids ("<profileId>:<orgId>"), window_days (default the user's saved
+ * window) and include_all. Scans run as the same in-memory jobs as the web
+ * page, so a finished scan can be fetched for an hour. Errors, including a
+ * malformed request body, are answered as JSON too.
+ ******************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { authenticateApiToken } = require('../apiTokens');
+const { listProfiles, selectScanProfiles } = require('../credentialProfiles');
+const { normalizeScanOptions, runProfilesCheck } = require('../peplinkCheck');
+const { createJob, getJob, toJobStatus } = require('../scanJobs');
+const { afterScan } = require('../scanHooks');
+const { ALL_COLUMNS, toCsv, toResultJson, parseResultFilters, filterResult } = require('../resultFormats');
+
+// Mounted before server.js's body parsers (see there), so parse here
+router.use('/api/v1', express.json(), express.urlencoded({ extended: true }));
+
+/**
+ * requireApiToken(scope):
+ *   Middleware: a valid bearer token with the given scope, else 401 / 403.
+ *   Sets req.apiToken = { id, email, scopes }.
+ */
+function requireApiToken(scope) {
+  return (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const token = match ? authenticateApiToken(req.app.get('db'), match[1]) : null;
+    if (!token) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'A valid API token is required.' });
+    }
+    if (!token.scopes.includes(scope)) {
+      return res.status(403).json({ error: `This token does not have the ${scope} scope.` });
+    }
+    req.apiToken = token;
+    return next();
+  };
+}
+
+/**
+ * toApiJobStatus(job): the job status plus links to poll and fetch it.
+ */
+function toApiJobStatus(job) {
+  return {
+    ...toJobStatus(job),
+    links: {
+      self: `/api/v1/scans/${job.id}`,
+      results: `/api/v1/scans/${job.id}/results`
+    }
+  };
+}
+
+router.get('/api/v1/profiles', requireApiToken('scans:run'), (req, res) => {
+  const profiles = listProfiles(req.app.get('db'), req.apiToken.email);
+  res.json({ profiles: profiles.map(profile => ({ id: profile.id, name: profile.name })) });
+});
+
+router.post('/api/v1/scans', requireApiToken('scans:run'), (req, res) => {
+  const db = req.app.get('db');
+  const email = req.apiToken.email;
+  const body = req.body || {};
+
+  const profiles = selectScanProfiles(listProfiles(db, email), body);
+  if (!profiles.length) {
+    return res.status(400).json({ error: 'No matching credential profiles to scan.' });
+  }
+  const user = db.prepare('SELECT scan_window_days FROM users WHERE email = ?').get(email);
+  const options = normalizeScanOptions({
+    windowDays: body.window_days || (user && user.scan_window_days),
+    includeAll: body.include_all === true || body.include_all === 'true' || body.include_all === 'on'
+  });
+
+  console.log('DEBUG (Node): API scan started by token', req.apiToken.id, 'for', email, options);
+  const job = createJob(email, async (onProgress) => {
+    const result = await runProfilesCheck(profiles, { ...options, onProgress });
+    afterScan(db, email, result, 'api');
+    return result;
+  });
+  res.status(202).location(`/api/v1/scans/${job.id}`).json(toApiJobStatus(job));
+});
+
+router.get('/api/v1/scans/:id', requireApiToken('results:read'), (req, res) => {
+  const job = getJob(req.params.id, req.apiToken.email);
+  if (!job) {
+    return res.status(404).json({ error: 'Scan not found (finished scans are kept for an hour).' });
+  }
+  res.json(toApiJobStatus(job));
+});
+
+router.get('/api/v1/scans/:id/results', requireApiToken('results:read'), (req, res) => {
+  const job = getJob(req.params.id, req.apiToken.email);
+  if (!job) {
+    return res.status(404).json({ error: 'Scan not found (finished scans are kept for an hour).' });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({
+      ...toApiJobStatus(job),
+      error: job.status === 'failed' ? job.error : 'The scan is still running.'
+    });
+  }
+
+  const result = filterResult(job.result, parseResultFilters(req.query), ALL_COLUMNS);
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    return res.send(toCsv(result, ALL_COLUMNS));
+  }
+  res.json(toResultJson(result));
+});
+
+// Errors in the API (including a malformed JSON body) => JSON, not an HTML page
+router.use('/api/v1', (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) {
+    console.error('API request failed:', err);
+  }
+  res.status(status).json({
+    error: err.type === 'entity.parse.failed' ? 'The request body is not valid JSON.'
+      : status === 500 ? 'Internal server error.' : err.message
+  });
+});
+
+module.exports = router;
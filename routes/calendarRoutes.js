@@ -0,0 +1,32 @@
+/******************************************************************************
+ * routes/calendarRoutes.js
+ *
+ * Calendar subscription feed (see calendarFeed.js):
+ *   GET /calendar/:token.ics          => latest stored scan, one event per device
+ *   GET /calendar/:token.ics?group=org => one event per org per expiry date
+ *
+ * No login: the secret token in the URL identifies the user. The URL is
+ * created and revoked in /panel.
+ ******************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { findCalendarUser } = require('../calendarFeed');
+const { getLatestRun } = require('../scanHistory');
+const { toIcs } = require('../icsExport');
+
+router.get('/calendar/:token.ics', (req, res) => {
+  const db = req.app.get('db');
+  const email = findCalendarUser(db, req.params.token);
+  if (!email) {
+    return res.status(404).send('Not found');
+  }
+
+  // No stored scan (history off or empty) => an empty but valid calendar
+  const run = getLatestRun(db, email);
+  console.log('DEBUG (Node): calendar feed => run =', run ? run.id : 'none');
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(toIcs(run ? run.result : null, { groupByOrg: req.query.group === 'org' }));
+});
+
+module.exports = router;
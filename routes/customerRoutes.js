@@ -0,0 +1,387 @@
+/******************************************************************************
+ * routes/customerRoutes.js
+ *
+ * Per-customer warranty notices (see customerNotices.js):
+ *   GET /customers              => org => contact mappings + add/edit form
+ *   POST /customers             => save a mapping (one per org)
+ *   POST /customers/:id/delete  => delete a mapping
+ *   GET /customers/notify       => preview the notices for the current result
+ *   POST /customers/notify      => send the selected notices
+ *   GET /customers/log          => what was sent, to whom and when
+ *
+ * Notices are built from the session's current result (the last scan), and
+ * sent through the user's own SMTP settings if they have any.
+ ******************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { escapeHtml } = require('../resultFormats');
+const { getUserSmtpSettings, sendMail } = require('../mailer');
+const { asArray } = require('../credentialProfiles');
+const {
+  DEFAULT_TEMPLATE, TEMPLATE_FIELDS, listContacts, saveContact, deleteContact,
+  buildNotices, logNotice, listNoticeLog
+} = require('../customerNotices');
+
+// Loose check, just enough to catch typos in the contact emails
+const EMAIL_RE = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+function requireLogin(req, res, next) {
+  if (req.session && req.session.userEmail) {
+    return next();
+  }
+  return res.redirect('/login');
+}
+
+function getHeaderHTML(req) {
+  const isLoggedIn = !!req.session.userEmail;
+  const loginLogoutBtn = isLoggedIn
+    ? `<a href="/logout" class="btn btn-lm">Logout</a>`
+    : `<a href="/login" class="btn btn-lm">Login</a>`;
+
+  return `
+<nav class="navbar navbar-expand-lg navbar-light bg-light mb-4">
+  <div class="container-fluid">
+    <a class="navbar-brand" href="https://www.peplinkwarrantycheck.com">
+      <img src="https://f000.backblazeb2.com/file/llama-public/llama-logo.png" 
+           width="176px" height="80px" alt="Logo" class="d-inline-block align-text-top">
+    </a>
+    <button class="navbar-toggler" type="button" data-bs-toggle="collapse" 
+            data-bs-target="#navbarSupportedContent" aria-controls="navbarSupportedContent" 
+            aria-expanded="false" aria-label="Toggle navigation">
+      <span class="navbar-toggler-icon"></span>
+    </button>
+    <div class="collapse navbar-collapse" id="navbarSupportedContent">
+      <ul class="navbar-nav ms-auto mb-2 mb-lg-0">
+        <li class="nav-item"><a class="nav-link" href="/panel">Settings</a></li>
+      </ul>
+      ${loginLogoutBtn}
+    </div>
+  </div>
+</nav>
+  `;
+}
+
+function getFooterHTML() {
+  return `
+<footer class="mt-5 py-3 bg-light footer">
+  <div class="container text-center">
+    <p class="mb-1">&copy; 2024 Llama Networks LLC</p>
+    <small>
+      <a href="https://www.llamanetworks.com/privacy-policy" target="_blank">Privacy Policy</a> | 
+      <a href="https://www.llamanetworks.com/terms-of-use" target="_blank">Terms of Use</a> | 
+      <a href="https://www.llamanetworks.com/cookie-policy" target="_blank">Cookie Policy</a>
+    </small>
+  </div>
+</footer>
+  `;
+}
+
+/**
+ * renderPage(req, title, bodyHtml):
+ *   Full page (header, body, footer) in the same style as the panel.
+ */
+function renderPage(req, title, bodyHtml) {
+  const header = getHeaderHTML(req);
+  const footer = getFooterHTML();
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+  <style>
+    .btn-lm {
+      background-color: #2589BD;
+      color: #ffffff;
+      border: none;
+    }
+    .btn-lm:hover {
+      opacity: 0.9;
+      background-color: #2589BD;
+      color: #ffffff;
+    }
+    body {
+      color: #3b5563;
+    }
+    .btn-delete {
+      background-color: #d9534f;
+      color: #ffffff;
+      border: none;
+    }
+  </style>
+</head>
+<body>
+  ${header}
+  <div class="container">
+    ${bodyHtml}
+  </div>
+  ${footer}
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+</body>
+</html>
+  `;
+}
+
+// GET /customers => mappings + add/edit form
+router.get('/customers', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const contacts = listContacts(db, req.session.userEmail);
+  const result = req.session.lastResult || null;
+  const editing = contacts.find(c => String(c.id) === String(req.query.edit)) || null;
+
+  // Orgs to choose from: those in the last scan, plus the one being edited
+  const orgOptions = (result ? result.orgs : []).map(org => ({
+    key: `${org.profileId}:${org.id}`,
+    label: `${org.profileName} / ${org.name}`
+  }));
+  if (editing && !orgOptions.some(o => o.key === `${editing.profileId}:${editing.orgId}`)) {
+    orgOptions.unshift({ key: `${editing.profileId}:${editing.orgId}`, label: editing.orgName });
+  }
+  const selectedKey = editing ? `${editing.profileId}:${editing.orgId}` : '';
+  const mappedKeys = new Set(contacts.map(c => `${c.profileId}:${c.orgId}`));
+
+  const rows = contacts.map(contact => `
+      <tr>
+        <td>${escapeHtml(contact.orgName)}</td>
+        <td>${escapeHtml(contact.emails.join(', '))}</td>
+        <td>${contact.template ? 'Custom' : '<span class="text-muted">Default</span>'}</td>
+        <td class="text-nowrap">
+          <a href="/customers?edit=${contact.id}" class="btn btn-secondary btn-sm">Edit</a>
+          <form method="POST" action="/customers/${contact.id}/delete" class="d-inline"
+                onsubmit="return confirm('Delete the contacts for this organization?');">
+            <button type="submit" class="btn btn-delete btn-sm">Delete</button>
+          </form>
+        </td>
+      </tr>`).join('');
+
+  const options = orgOptions.map(org => `
+            <option value="${escapeHtml(org.key)}" ${org.key === selectedKey ? 'selected' : ''}>
+              ${escapeHtml(org.label)}${mappedKeys.has(org.key) && org.key !== selectedKey ? ' (has contacts)' : ''}
+            </option>`).join('');
+
+  res.send(renderPage(req, 'Customer Contacts', `
+    <h1>Customer Contacts</h1>
+    <p>Map each organization to the customer contacts who should receive its warranty notices.
+       After a scan, use <strong>Notify customers</strong> on the results page to preview and send them;
+       each contact only receives the devices of their own organization.</p>
+
+    ${contacts.length ? `
+    <table class="table table-sm align-middle mb-4">
+      <thead><tr><th>Organization</th><th>Contacts</th><th>Message</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : '<p class="text-muted">No customer contacts yet.</p>'}
+
+    <form method="POST" action="/customers" class="card card-body mb-3">
+      <h3>${editing ? 'Edit Contacts' : 'Add Contacts'}</h3>
+      ${orgOptions.length ? `
+      <div class="mb-3">
+        <label class="form-label">Organization</label>
+        <select name="org_key" class="form-select" required>${options}</select>
+      </div>
+      <div class="mb-3">
+        <label class="form-label">Contact emails (comma-separated)</label>
+        <input type="text" name="emails" class="form-control" required
+               value="${escapeHtml(editing ? editing.emails.join(', ') : '')}">
+      </div>
+      <div class="mb-3">
+        <label class="form-label">Message (optional, leave blank for the default)</label>
+        <textarea name="template" class="form-control" rows="7"
+                  placeholder="${escapeHtml(DEFAULT_TEMPLATE)}">${escapeHtml(editing ? editing.template : '')}</textarea>
+        <small class="text-muted">
+          Placeholders: ${TEMPLATE_FIELDS.map(f => `<code>{{${f}}}</code>`).join(' ')}.
+          The device list is added below the message and attached as CSV.
+        </small>
+      </div>
+      <div>
+        <button type="submit" class="btn btn-lm">Save Contacts</button>
+        ${editing ? '<a href="/customers" class="btn btn-secondary">Cancel</a>' : ''}
+      </div>` : `
+      <p class="text-muted mb-0">Run a <a href="/warranty-check">warranty check</a> first; its organizations can then be picked here.</p>`}
+    </form>
+
+    <a href="/customers/log" class="btn btn-secondary">Sent Notices Log</a>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>`));
+});
+
+// POST /customers => save (create or replace) the contacts for one org
+router.post('/customers', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  const [profileId, orgId] = String(req.body.org_key || '').split(':');
+  const emails = String(req.body.emails || '').split(/[,;\s]+/).filter(Boolean);
+
+  // The org's name comes from the last scan, or the existing mapping when editing
+  const result = req.session.lastResult;
+  const org = result && result.orgs.find(o => String(o.profileId) === profileId && String(o.id) === orgId);
+  const existing = listContacts(db, email).find(c =>
+    String(c.profileId) === profileId && String(c.orgId) === orgId);
+  const orgName = org ? org.name : (existing && existing.orgName);
+
+  let error = null;
+  if (!profileId || !orgId || !orgName) {
+    error = 'Please choose an organization from your last scan.';
+  } else if (!emails.length) {
+    error = 'Please enter at least one contact email.';
+  } else if (emails.some(e => !EMAIL_RE.test(e))) {
+    error = 'One or more contact emails are not valid email addresses.';
+  }
+  if (error) {
+    return res.send(renderPage(req, 'Contacts Not Saved', `
+    <div class="alert alert-danger">${escapeHtml(error)}</div>
+    <p>Nothing was saved.</p>
+    <a href="/customers" class="btn btn-secondary">Back</a>`));
+  }
+
+  saveContact(db, email, {
+    profileId,
+    orgId,
+    orgName,
+    emails,
+    template: String(req.body.template || '').trim()
+  });
+  res.redirect('/customers');
+});
+
+// POST /customers/:id/delete => delete a mapping
+router.post('/customers/:id/delete', requireLogin, (req, res) => {
+  deleteContact(req.app.get('db'), req.session.userEmail, req.params.id);
+  res.redirect('/customers');
+});
+
+// GET /customers/notify => preview what each customer would receive
+router.get('/customers/notify', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const result = req.session.lastResult;
+  if (!result) {
+    return res.redirect('/warranty-check');
+  }
+
+  const contacts = listContacts(db, req.session.userEmail);
+  const notices = buildNotices(result, contacts);
+  const sendable = notices.filter(n => n.devices.length && n.org.status === 'ok');
+
+  const previews = notices.map(notice => {
+    const canSend = notice.devices.length && notice.org.status === 'ok';
+    const reason = notice.org.status !== 'ok'
+      ? 'This organization could not be scanned, so no notice will be sent.'
+      : 'No matching devices, nothing to send.';
+    return `
+      <div class="card mb-3">
+        <div class="card-header">
+          ${canSend ? `
+          <input class="form-check-input me-1" type="checkbox" name="contact_ids"
+                 value="${notice.contact.id}" id="n_${notice.contact.id}" checked>` : ''}
+          <label for="n_${notice.contact.id}"><strong>${escapeHtml(notice.org.name)}</strong>
+            &rarr; ${escapeHtml(notice.contact.emails.join(', '))}</label>
+        </div>
+        <div class="card-body">
+          ${canSend ? `
+          <p class="mb-1"><strong>Subject:</strong> ${escapeHtml(notice.subject)}</p>
+          <p class="mb-1"><strong>Attachment:</strong> CSV with ${notice.devices.length} device(s)</p>
+          <div class="border rounded p-2">${notice.html}</div>` : `<p class="text-muted mb-0">${escapeHtml(reason)}</p>`}
+        </div>
+      </div>`;
+  }).join('');
+
+  const unmapped = result.orgs.filter(org => !contacts.some(c =>
+    String(c.profileId) === String(org.profileId) && String(c.orgId) === String(org.id))).length;
+
+  res.send(renderPage(req, 'Notify Customers', `
+    <h1>Notify Customers</h1>
+    <p>Preview of the notices for your last scan (${escapeHtml(result.generatedAt)}).
+       Untick any you don't want to send.
+       ${unmapped ? `${unmapped} scanned organization(s) have no contacts; <a href="/customers">add contacts</a>.` : ''}</p>
+    ${notices.length ? `
+    <form method="POST" action="/customers/notify">
+      ${previews}
+      ${sendable.length ? `<button type="submit" class="btn btn-lm">Send ${sendable.length} Notice(s)</button>` : ''}
+      <a href="/warranty-check/results" class="btn btn-secondary">Back to Results</a>
+    </form>` : `
+    <p class="text-muted">None of the scanned organizations have customer contacts yet.</p>
+    <a href="/customers" class="btn btn-lm">Add Customer Contacts</a>
+    <a href="/warranty-check/results" class="btn btn-secondary">Back to Results</a>`}`));
+});
+
+// POST /customers/notify => send the selected notices, logging each one
+router.post('/customers/notify', requireLogin, async (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  const result = req.session.lastResult;
+  if (!result) {
+    return res.redirect('/warranty-check');
+  }
+
+  const selected = asArray(req.body.contact_ids).map(String);
+  const notices = buildNotices(result, listContacts(db, email))
+    .filter(n => selected.includes(String(n.contact.id)) && n.devices.length && n.org.status === 'ok');
+  const smtp = getUserSmtpSettings(db, email);
+
+  // One at a time, so a slow SMTP server isn't hit with dozens of connections
+  const outcomes = [];
+  for (const notice of notices) {
+    try {
+      await sendMail({
+        to: notice.contact.emails.join(', '),
+        replyTo: email,
+        subject: notice.subject,
+        text: notice.text,
+        html: notice.html,
+        attachments: [{
+          filename: `warranty_${result.generatedAt.substring(0, 10)}.csv`,
+          content: notice.csv,
+          contentType: 'text/csv'
+        }]
+      }, smtp);
+      logNotice(db, email, notice, 'sent', null);
+      outcomes.push({ notice, ok: true });
+    } catch (err) {
+      console.log('DEBUG (Node): Customer notice failed for org', notice.org.id, '=>', err.message);
+      logNotice(db, email, notice, 'failed', err.message);
+      outcomes.push({ notice, ok: false, error: err.message });
+    }
+  }
+
+  const rows = outcomes.map(o => `
+      <tr class="${o.ok ? '' : 'table-danger'}">
+        <td>${escapeHtml(o.notice.org.name)}</td>
+        <td>${escapeHtml(o.notice.contact.emails.join(', '))}</td>
+        <td>${o.notice.devices.length}</td>
+        <td>${o.ok ? 'Sent' : `Failed: ${escapeHtml(o.error)}`}</td>
+      </tr>`).join('');
+  const sentCount = outcomes.filter(o => o.ok).length;
+
+  res.send(renderPage(req, 'Notices Sent', `
+    <h1>Customer Notices</h1>
+    <p>${sentCount} of ${outcomes.length} notice(s) sent.</p>
+    ${rows ? `
+    <table class="table table-sm">
+      <thead><tr><th>Organization</th><th>Contacts</th><th>Devices</th><th>Status</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : ''}
+    <a href="/customers/log" class="btn btn-secondary">Sent Notices Log</a>
+    <a href="/warranty-check/results" class="btn btn-lm">Back to Results</a>`));
+});
+
+// GET /customers/log => history of sent notices
+router.get('/customers/log', requireLogin, (req, res) => {
+  const entries = listNoticeLog(req.app.get('db'), req.session.userEmail);
+  const rows = entries.map(entry => `
+      <tr class="${entry.status === 'sent' ? '' : 'table-danger'}">
+        <td>${escapeHtml(entry.sentAt)}</td>
+        <td>${escapeHtml(entry.orgName)}</td>
+        <td>${escapeHtml(entry.recipients)}</td>
+        <td>${entry.deviceCount}</td>
+        <td>${escapeHtml(entry.status)}${entry.error ? `: ${escapeHtml(entry.error)}` : ''}</td>
+      </tr>`).join('');
+
+  res.send(renderPage(req, 'Sent Notices', `
+    <h1>Sent Notices</h1>
+    ${rows ? `
+    <table class="table table-sm">
+      <thead><tr><th>When</th><th>Organization</th><th>Sent to</th><th>Devices</th><th>Status</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : '<p class="text-muted">No notices have been sent yet.</p>'}
+    <a href="/customers" class="btn btn-secondary">Back to Customer Contacts</a>`));
+});
+
+module.exports = router;
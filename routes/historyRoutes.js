@@ -0,0 +1,325 @@
+/******************************************************************************
+ * routes/historyRoutes.js
+ *
+ * Opt-in scan history (see scanHistory.js):
+ *   GET /history                 => settings, past runs, compare form
+ *   POST /history/settings       => enable/disable + retention period
+ *   POST /history/purge          => delete every stored run
+ *   GET /history/diff?from=&to=  => what changed between two runs
+ *   GET /history/:id             => one stored run as a table
+ *   GET /history/:id/download    => one stored run as CSV
+ *   POST /history/:id/delete     => delete one run
+ ******************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { escapeHtml, toCsv, toHtmlTable, toOrgStatusTable } = require('../resultFormats');
+const {
+  RETENTION_CHOICES, getHistorySettings, saveHistorySettings, purgeHistory,
+  listRuns, getRun, deleteRun, diffScans
+} = require('../scanHistory');
+
+const SOURCE_LABELS = { manual: 'Manual', retry: 'Retry of failed orgs', scheduled: 'Scheduled', api: 'API' };
+
+function requireLogin(req, res, next) {
+  if (req.session && req.session.userEmail) {
+    return next();
+  }
+  return res.redirect('/login');
+}
+
+function getHeaderHTML(req) {
+  const isLoggedIn = !!req.session.userEmail;
+  const loginLogoutBtn = isLoggedIn
+    ? `<a href="/logout" class="btn btn-lm">Logout</a>`
+    : `<a href="/login" class="btn btn-lm">Login</a>`;
+
+  return `
+<nav class="navbar navbar-expand-lg navbar-light bg-light mb-4">
+  <div class="container-fluid">
+    <a class="navbar-brand" href="https://www.peplinkwarrantycheck.com">
+      <img src="https://f000.backblazeb2.com/file/llama-public/llama-logo.png" 
+           width="176px" height="80px" alt="Logo" class="d-inline-block align-text-top">
+    </a>
+    <button class="navbar-toggler" type="button" data-bs-toggle="collapse" 
+            data-bs-target="#navbarSupportedContent" aria-controls="navbarSupportedContent" 
+            aria-expanded="false" aria-label="Toggle navigation">
+      <span class="navbar-toggler-icon"></span>
+    </button>
+    <div class="collapse navbar-collapse" id="navbarSupportedContent">
+      <ul class="navbar-nav ms-auto mb-2 mb-lg-0">
+        <li class="nav-item"><a class="nav-link" href="/panel">Settings</a></li>
+      </ul>
+      ${loginLogoutBtn}
+    </div>
+  </div>
+</nav>
+  `;
+}
+
+function getFooterHTML() {
+  return `
+<footer class="mt-5 py-3 bg-light footer">
+  <div class="container text-center">
+    <p class="mb-1">&copy; 2024 Llama Networks LLC</p>
+    <small>
+      <a href="https://www.llamanetworks.com/privacy-policy" target="_blank">Privacy Policy</a> | 
+      <a href="https://www.llamanetworks.com/terms-of-use" target="_blank">Terms of Use</a> | 
+      <a href="https://www.llamanetworks.com/cookie-policy" target="_blank">Cookie Policy</a>
+    </small>
+  </div>
+</footer>
+  `;
+}
+
+/**
+ * renderPage(req, title, bodyHtml):
+ *   Full page (header, body, footer) in the same style as the panel.
+ */
+function renderPage(req, title, bodyHtml) {
+  const header = getHeaderHTML(req);
+  const footer = getFooterHTML();
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+  <style>
+    .btn-lm {
+      background-color: #2589BD;
+      color: #ffffff;
+      border: none;
+    }
+    .btn-lm:hover {
+      opacity: 0.9;
+      background-color: #2589BD;
+      color: #ffffff;
+    }
+    body {
+      color: #3b5563;
+    }
+    .btn-delete {
+      background-color: #d9534f;
+      color: #ffffff;
+      border: none;
+    }
+  </style>
+</head>
+<body>
+  ${header}
+  <div class="container">
+    ${bodyHtml}
+  </div>
+  ${footer}
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * describeScope(windowDays, includeAll): "Within 90 days" or "All devices".
+ */
+function describeScope(windowDays, includeAll) {
+  return includeAll ? 'All devices' : `Within ${windowDays} days`;
+}
+
+/**
+ * renderDiffSection(title, help, entries):
+ *   One category of the diff as a small table.
+ */
+function renderDiffSection(title, help, entries) {
+  const rows = entries.map(e => `
+        <tr>
+          <td>${escapeHtml(e.profile_name)}</td>
+          <td>${escapeHtml(e.org_name)}</td>
+          <td>${escapeHtml(e.serial_number)}</td>
+          <td>${escapeHtml(e.old_expiry || '-')}</td>
+          <td>${escapeHtml(e.new_expiry || '-')}</td>
+        </tr>`).join('');
+  return `
+    <h3 class="mt-4">${escapeHtml(title)} <span class="badge bg-secondary">${entries.length}</span></h3>
+    <p class="text-muted mb-2">${escapeHtml(help)}</p>
+    ${rows ? `
+    <table class="table table-sm table-striped">
+      <thead><tr><th>Profile</th><th>Organization</th><th>Serial</th><th>Expiry before</th><th>Expiry now</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : '<p>None.</p>'}`;
+}
+
+// GET /history => settings + list of runs
+router.get('/history', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  const settings = getHistorySettings(db, email);
+  const runs = listRuns(db, email);
+
+  const retentionOptions = RETENTION_CHOICES.map(days =>
+    `<option value="${days}" ${days === settings.retentionDays ? 'selected' : ''}>${days} days</option>`).join('');
+  const runOptions = (selectedIndex) => runs.map((run, index) =>
+    `<option value="${run.id}" ${index === selectedIndex ? 'selected' : ''}>${escapeHtml(run.created_at)} (${run.device_count} devices)</option>`).join('');
+
+  const rows = runs.map(run => `
+      <tr>
+        <td>${escapeHtml(run.created_at)}</td>
+        <td>${escapeHtml(SOURCE_LABELS[run.source] || run.source)}</td>
+        <td>${escapeHtml(describeScope(run.window_days, run.include_all))}</td>
+        <td>${run.device_count}</td>
+        <td>${run.expired_count}</td>
+        <td>${run.failed_count ? `<span class="text-danger">${run.failed_count}</span>` : '0'}</td>
+        <td class="text-nowrap">
+          <a href="/history/${run.id}" class="btn btn-secondary btn-sm">View</a>
+          <form method="POST" action="/history/${run.id}/delete" class="d-inline">
+            <button type="submit" class="btn btn-delete btn-sm">Delete</button>
+          </form>
+        </td>
+      </tr>`).join('');
+
+  res.send(renderPage(req, 'Scan History', `
+    <h1>Scan History</h1>
+
+    <form method="POST" action="/history/settings" class="card card-body mb-3">
+      <div class="form-check mb-2">
+        <input class="form-check-input" type="checkbox" name="enabled" id="historyEnabled" ${settings.enabled ? 'checked' : ''}>
+        <label class="form-check-label" for="historyEnabled">
+          Keep a history of my scans (stored encrypted on this server)
+        </label>
+      </div>
+      <div class="row g-2 align-items-end">
+        <div class="col-md-4">
+          <label class="form-label">Keep runs for</label>
+          <select name="retention_days" class="form-select">${retentionOptions}</select>
+        </div>
+        <div class="col-md-4">
+          <button type="submit" class="btn btn-lm">Save</button>
+        </div>
+      </div>
+      <small class="text-muted mt-2">
+        Off by default. Turning it off stops recording new runs; use Purge to delete what is stored.
+      </small>
+    </form>
+
+    ${runs.length >= 2 ? `
+    <form method="GET" action="/history/diff" class="card card-body mb-3">
+      <h3>Compare Runs</h3>
+      <div class="row g-2 align-items-end">
+        <div class="col-md-5">
+          <label class="form-label">Earlier run</label>
+          <select name="from" class="form-select">${runOptions(1)}</select>
+        </div>
+        <div class="col-md-5">
+          <label class="form-label">Later run</label>
+          <select name="to" class="form-select">${runOptions(0)}</select>
+        </div>
+        <div class="col-md-2">
+          <button type="submit" class="btn btn-lm">Compare</button>
+        </div>
+      </div>
+    </form>` : ''}
+
+    ${runs.length ? `
+    <table class="table table-sm align-middle">
+      <thead><tr><th>Scanned</th><th>Source</th><th>Scope</th><th>Devices</th><th>Expired</th><th>Failed orgs</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <form method="POST" action="/history/purge" class="mb-3"
+          onsubmit="return confirm('Delete all stored scan history? This cannot be undone.');">
+      <button type="submit" class="btn btn-delete">Purge History</button>
+    </form>` : `<p class="text-muted">No stored runs${settings.enabled ? ' yet. Runs are added as scans complete.' : '.'}</p>`}
+
+    <a href="/warranty-check" class="btn btn-secondary">Back to Warranty Check</a>`));
+});
+
+// POST /history/settings => enable/disable, retention
+router.post('/history/settings', requireLogin, (req, res) => {
+  const days = parseInt(req.body.retention_days, 10);
+  saveHistorySettings(req.app.get('db'), req.session.userEmail, {
+    enabled: req.body.enabled === 'on',
+    retentionDays: RETENTION_CHOICES.includes(days) ? days : RETENTION_CHOICES[RETENTION_CHOICES.length - 2]
+  });
+  res.redirect('/history');
+});
+
+// POST /history/purge => delete every stored run
+router.post('/history/purge', requireLogin, (req, res) => {
+  purgeHistory(req.app.get('db'), req.session.userEmail);
+  console.log('DEBUG (Node): Purged scan history for', req.session.userEmail);
+  res.redirect('/history');
+});
+
+// GET /history/diff?from=&to= => changes between two runs
+router.get('/history/diff', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  let older = getRun(db, email, req.query.from);
+  let newer = getRun(db, email, req.query.to);
+  if (!older || !newer) {
+    return res.redirect('/history');
+  }
+  if (older.result.generatedAt > newer.result.generatedAt) {
+    [older, newer] = [newer, older];
+  }
+
+  const diff = diffScans(older.result, newer.result);
+  const scopeNote = (older.result.includeAll !== newer.result.includeAll ||
+    older.result.windowDays !== newer.result.windowDays ||
+    String(older.result.orgFilter) !== String(newer.result.orgFilter))
+    ? '<div class="alert alert-info">The two runs used different scan options; the comparison uses the later run\'s window.</div>'
+    : '';
+  const failedNote = newer.result.orgs.some(org => org.status !== 'ok')
+    ? '<div class="alert alert-warning">Some organizations failed in the later run; their devices are not reported as disappeared.</div>'
+    : '';
+
+  res.send(renderPage(req, 'Compare Runs', `
+    <h1>What Changed</h1>
+    <p>From <strong>${escapeHtml(older.createdAt)}</strong> to <strong>${escapeHtml(newer.createdAt)}</strong>
+       (window: ${newer.result.windowDays} days).</p>
+    ${scopeNote}
+    ${failedNote}
+    ${renderDiffSection('Renewed', 'The warranty now ends later than it did.', diff.renewed)}
+    ${renderDiffSection('Newly in window', `Now expiring within ${newer.result.windowDays} days, but not at the earlier run.`, diff.newlyInWindow)}
+    ${renderDiffSection('Expired', 'Expired since the earlier run.', diff.expired)}
+    ${renderDiffSection('Disappeared', 'No longer in the account (an organization that was scanned successfully).', diff.disappeared)}
+    <a href="/history" class="btn btn-secondary mt-3">Back to History</a>`));
+});
+
+// GET /history/:id => one stored run
+router.get('/history/:id', requireLogin, (req, res) => {
+  const run = getRun(req.app.get('db'), req.session.userEmail, req.params.id);
+  if (!run) {
+    return res.redirect('/history');
+  }
+
+  res.send(renderPage(req, 'Stored Run', `
+    <h1>Run of ${escapeHtml(run.createdAt)}</h1>
+    <p class="text-muted">${escapeHtml(SOURCE_LABELS[run.source] || run.source)},
+       ${escapeHtml(describeScope(run.result.windowDays, run.result.includeAll))}</p>
+    ${run.result.orgs.length ? `
+    <details class="mb-3">
+      <summary>Organizations scanned (${run.result.orgs.length})</summary>
+      ${toOrgStatusTable(run.result, false)}
+    </details>` : ''}
+    ${toHtmlTable(run.result)}
+    <a href="/history/${run.id}/download" class="btn btn-lm">Download CSV</a>
+    <a href="/history" class="btn btn-secondary">Back to History</a>`));
+});
+
+// GET /history/:id/download => CSV of a stored run
+router.get('/history/:id/download', requireLogin, (req, res) => {
+  const run = getRun(req.app.get('db'), req.session.userEmail, req.params.id);
+  if (!run) {
+    return res.redirect('/history');
+  }
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition',
+    `attachment; filename="warranty_results_${run.createdAt.substring(0, 10)}.csv"`);
+  res.send(toCsv(run.result));
+});
+
+// POST /history/:id/delete => delete one run
+router.post('/history/:id/delete', requireLogin, (req, res) => {
+  deleteRun(req.app.get('db'), req.session.userEmail, req.params.id);
+  res.redirect('/history');
+});
+
+module.exports = router;
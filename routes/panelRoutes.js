@@ -2,10 +2,51 @@
  * routes/panelRoutes.js
  *
  * Now encrypts user data at rest using cryptoUtils. On read, decrypt; on write, encrypt.
+ *
+ * Also manages the user's named InControl2 credential profiles:
+ *   POST /panel/profiles            => add a profile
+ *   POST /panel/profiles/:id        => edit a profile (blank secret = keep)
+ *   POST /panel/profiles/:id/delete => delete a profile
+ *   POST /panel/profiles/:id/test   => re-check a saved profile
+ *
+ * Adding or editing a profile runs a live token exchange first and lists the
+ * organizations the credentials can see. Rejected credentials are not saved;
+ * if InControl2 can't be reached the profile is saved with a warning.
+ *
+ * And the user's own SMTP server, used for emailing results:
+ *   POST /panel            => save SMTP settings (blank host = use system SMTP)
+ *   POST /panel/smtp-test  => send a test email with the settings in the form
+ *
+ * And the calendar subscription URL (see calendarFeed.js):
+ *   POST /panel/calendar        => create a new URL (replacing any old one)
+ *   POST /panel/calendar/revoke => stop the URL working
+ *
+ * And personal API tokens for /api/v1 (see apiTokens.js):
+ *   POST /panel/api-tokens            => create a token (shown once)
+ *   POST /panel/api-tokens/:id/revoke => delete a token
+ *
+ * And lists the user's outbound webhooks, with a form to add one; the
+ * webhook actions themselves are in routes/webhookRoutes.js.
  ******************************************************************************/
 const express = require('express');
 const router = express.Router();
 const { encrypt, decrypt } = require('../cryptoUtils');  // NEW import
+const {
+  isValidApiBaseUrl, getDefaultApiBaseUrl, InvalidCredentialsError, NetworkError, UnexpectedResponseError
+} = require('../incontrolClient');
+const { verifyCredentials } = require('../peplinkCheck');
+const {
+  listProfiles, getProfile, createProfile, updateProfile, deleteProfile, asArray
+} = require('../credentialProfiles');
+const { escapeHtml } = require('../resultFormats');
+const { validateSmtpSettings, getUserSmtpSettings, sendMail } = require('../mailer');
+const { isAdmin } = require('../adminUtils');
+const { getCalendarFeedInfo, createCalendarToken, revokeCalendarToken } = require('../calendarFeed');
+const { getHistorySettings } = require('../scanHistory');
+const {
+  API_SCOPES, listApiTokens, validateApiToken, createApiToken, revokeApiToken
+} = require('../apiTokens');
+const { WEBHOOK_FORMATS, WEBHOOK_EVENTS, listWebhooks, lastDeliveryStatuses } = require('../webhooks');
 
 function requireLogin(req, res, next) {
   if (req.session && req.session.userEmail) {
@@ -59,6 +100,195 @@ function getFooterHTML() {
   `;
 }
 
+/**
+ * renderNoticePage(req, title, bodyHtml):
+ *   A simple full page (header, message, footer) for save results and errors.
+ */
+function renderNoticePage(req, title, bodyHtml) {
+  const header = getHeaderHTML(req);
+  const footer = getFooterHTML();
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+  <style>
+    .btn-lm {
+      background-color: #2589BD;
+      color: #ffffff;
+      border: none;
+    }
+    .btn-lm:hover {
+      opacity: 0.9;
+      background-color: #2589BD;
+      color: #ffffff;
+    }
+  </style>
+</head>
+<body>
+  ${header}
+  <div class="container">
+    ${bodyHtml}
+  </div>
+  ${footer}
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * renderProfileFields(profile):
+ *   Name / client ID / secret / base URL inputs for the add and edit forms.
+ *   The secret is never echoed back; leaving it blank on edit keeps it.
+ */
+function renderProfileFields(profile) {
+  const isNew = !profile;
+  const p = profile || {};
+  return `
+      <div class="row g-2">
+        <div class="col-md-6 mb-2">
+          <label>Profile Name</label>
+          <input type="text" name="name" class="form-control" required
+                 placeholder="e.g. Our Peplink ID, Customer X" value="${escapeHtml(p.name || '')}">
+        </div>
+        <div class="col-md-6 mb-2">
+          <label>InControl2 API Base URL (optional)</label>
+          <input type="url" name="api_base_url" class="form-control"
+                 placeholder="${escapeHtml(getDefaultApiBaseUrl())}" value="${escapeHtml(p.apiBaseUrl || '')}">
+        </div>
+        <div class="col-md-6 mb-2">
+          <label>Peplink Client ID</label>
+          <input type="text" name="client_id" class="form-control" required value="${escapeHtml(p.clientId || '')}">
+        </div>
+        <div class="col-md-6 mb-2">
+          <label>Peplink Client Secret</label>
+          <input type="password" name="client_secret" class="form-control" ${isNew ? 'required' : ''}
+                 placeholder="${isNew ? '' : 'Leave blank to keep the current secret'}" autocomplete="new-password">
+        </div>
+      </div>`;
+}
+
+/**
+ * readProfileForm(body, isNew):
+ *   Trims the posted profile fields and validates them.
+ *   Returns { fields, error }.
+ */
+function readProfileForm(body, isNew) {
+  const fields = {
+    name: (body.name || '').trim(),
+    clientId: (body.client_id || '').trim(),
+    clientSecret: (body.client_secret || '').trim(),
+    apiBaseUrl: (body.api_base_url || '').trim()
+  };
+  let error = null;
+  if (!fields.name) {
+    error = 'Please give the profile a name.';
+  } else if (!fields.clientId) {
+    error = 'Please enter the Peplink client ID.';
+  } else if (isNew && !fields.clientSecret) {
+    error = 'Please enter the Peplink client secret.';
+  } else if (fields.apiBaseUrl && !isValidApiBaseUrl(fields.apiBaseUrl)) {
+    error = 'The InControl2 API base URL must be a full http:// or https:// address, ' +
+      'for example https://incontrol.example.com.';
+  }
+  return { fields, error };
+}
+
+/**
+ * renderProfileError(req, message):
+ *   "Profile not saved" page with a way back to the panel.
+ */
+function renderProfileError(req, message) {
+  return renderNoticePage(req, 'Profile Not Saved', `
+    <div class="alert alert-danger">${escapeHtml(message)}</div>
+    <p>Nothing was saved.</p>
+    <a href="/panel" class="btn btn-secondary">Back</a>`);
+}
+
+/**
+ * checkProfileCredentials(fields):
+ *   Live check of a profile's credentials. Returns
+ *   { ok: true, orgs } or { ok: false, rejected, message }, where rejected
+ *   means InControl2 refused the credentials (as opposed to being unreachable).
+ */
+async function checkProfileCredentials(fields) {
+  try {
+    const orgs = await verifyCredentials(fields);
+    return { ok: true, orgs };
+  } catch (err) {
+    console.log('DEBUG (Node): credential check failed =>', err.message);
+    let message = err.userMessage || err.message;
+    if (fields.apiBaseUrl && (err instanceof NetworkError || err instanceof UnexpectedResponseError)) {
+      message += ` Also check that the API base URL (${fields.apiBaseUrl}) points at your InControl2 API and is reachable from this server.`;
+    }
+    return { ok: false, rejected: err instanceof InvalidCredentialsError, message };
+  }
+}
+
+/**
+ * renderCredentialCheckHTML(check):
+ *   "Credentials OK, N organizations visible" (with the org names), or the
+ *   error explaining what to fix.
+ */
+function renderCredentialCheckHTML(check) {
+  if (!check.ok && check.rejected) {
+    return `<div class="alert alert-danger">${escapeHtml(check.message)}</div>`;
+  }
+  if (!check.ok) {
+    return `
+    <div class="alert alert-warning">
+      <strong>The profile is saved, but its credentials could not be verified.</strong>
+      ${escapeHtml(check.message)}
+    </div>`;
+  }
+  const orgItems = check.orgs.map(org => `<li>${escapeHtml(org.name)}</li>`).join('');
+  return `
+    <div class="alert alert-success">
+      <strong>Credentials OK</strong>, ${check.orgs.length} organization(s) visible.
+      ${orgItems ? `<ul class="mb-0 mt-2">${orgItems}</ul>` : ''}
+    </div>`;
+}
+
+/**
+ * urlHost(url):
+ *   The host of a webhook URL for display, or the raw string if it doesn't
+ *   parse (e.g. it no longer decrypts after a key change).
+ */
+function urlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return url || '(unreadable URL)';
+  }
+}
+
+/**
+ * readSmtpForm(body, stored):
+ *   Trims and validates the posted SMTP fields. A blank password keeps the
+ *   stored one; a blank host clears everything. Returns { settings, error }.
+ */
+function readSmtpForm(body, stored) {
+  const settings = {
+    smtp_host: (body.smtp_host || '').trim(),
+    smtp_port: (body.smtp_port || '').trim(),
+    smtp_user: (body.smtp_user || '').trim(),
+    smtp_pass: body.smtp_pass || stored.smtp_pass,
+    smtp_secure: body.smtp_secure || ''
+  };
+  if (!settings.smtp_host) {
+    return {
+      settings: { smtp_host: '', smtp_port: '', smtp_user: '', smtp_pass: '', smtp_secure: '' },
+      error: null
+    };
+  }
+  if (!settings.smtp_user) {
+    settings.smtp_pass = '';
+  }
+  return { settings, error: validateSmtpSettings(settings) };
+}
+
 // GET /panel => show form
 router.get('/panel', requireLogin, (req, res) => {
   const db = req.app.get('db');
@@ -73,19 +303,86 @@ router.get('/panel', requireLogin, (req, res) => {
     smtp_port: decrypt(userRow.smtp_port),
     smtp_user: decrypt(userRow.smtp_user),
     smtp_pass: decrypt(userRow.smtp_pass),
-    smtp_secure: decrypt(userRow.smtp_secure),
-    peplink_client_id: decrypt(userRow.peplink_client_id),
-    peplink_client_secret: decrypt(userRow.peplink_client_secret)
+    smtp_secure: decrypt(userRow.smtp_secure)
   };
+  const profiles = listProfiles(db, user.email);
+  const profileCards = profiles.map(profile => `
+    <div class="border rounded p-3 mb-3">
+      <form method="POST" action="/panel/profiles/${profile.id}">
+        ${renderProfileFields(profile)}
+        <button type="submit" class="btn btn-lm btn-sm">Save Profile</button>
+      </form>
+      <form method="POST" action="/panel/profiles/${profile.id}/test" class="mt-2 d-inline-block">
+        <button type="submit" class="btn btn-secondary btn-sm">Test Credentials</button>
+      </form>
+      <form method="POST" action="/panel/profiles/${profile.id}/delete" class="mt-2 d-inline-block"
+            onsubmit="return confirm('Delete this credential profile?');">
+        <button type="submit" class="btn btn-delete btn-sm">Delete Profile</button>
+      </form>
+    </div>`).join('');
 
   // Now use user.xyz in your form
-  const checked25  = (user.smtp_port === '25')  ? 'selected' : '';
-  const checked465 = (user.smtp_port === '465') ? 'selected' : '';
-  const checked587 = (user.smtp_port === '587') ? 'selected' : '';
-
   const secureTrueSelected = (user.smtp_secure === 'true') ? 'selected' : '';
   const secureFalseSelected = (user.smtp_secure === 'false') ? 'selected' : '';
 
+  const calendar = getCalendarFeedInfo(db, user.email);
+  const scopeLabels = new Map(API_SCOPES.map(scope => [scope.key, scope.label]));
+  const tokenRows = listApiTokens(db, user.email).map(token => `
+          <tr>
+            <td>${escapeHtml(token.name)}</td>
+            <td><code>${escapeHtml(token.tokenPrefix)}...</code></td>
+            <td>${token.scopes.map(scope => escapeHtml(scopeLabels.get(scope) || scope)).join('<br>')}</td>
+            <td>${escapeHtml(token.createdAt.substring(0, 10))}</td>
+            <td>${token.lastUsedAt ? escapeHtml(token.lastUsedAt.replace('T', ' ').substring(0, 16)) + ' UTC' : 'Never'}</td>
+            <td>
+              <form method="POST" action="/panel/api-tokens/${token.id}/revoke"
+                    onsubmit="return confirm('Revoke this token? Anything using it will stop working.');">
+                <button type="submit" class="btn btn-delete btn-sm">Revoke</button>
+              </form>
+            </td>
+          </tr>`).join('');
+  const scopeChecks = API_SCOPES.map(scope => `
+          <div class="form-check form-check-inline">
+            <input class="form-check-input" type="checkbox" name="scopes" value="${scope.key}" id="scope_${scope.key.replace(':', '_')}" checked>
+            <label class="form-check-label" for="scope_${scope.key.replace(':', '_')}">${escapeHtml(scope.label)} (<code>${scope.key}</code>)</label>
+          </div>`).join('');
+  const formatLabels = new Map(WEBHOOK_FORMATS.map(format => [format.key, format.label]));
+  const eventLabels = new Map(WEBHOOK_EVENTS.map(event => [event.key, event.label]));
+  const lastDeliveries = lastDeliveryStatuses(db, user.email);
+  const webhookRows = listWebhooks(db, user.email).map(webhook => {
+    const last = lastDeliveries.get(webhook.id);
+    return `
+          <tr class="${webhook.enabled ? '' : 'text-muted'}">
+            <td>${escapeHtml(webhook.name)}</td>
+            <td><span title="${escapeHtml(webhook.url)}">${escapeHtml(urlHost(webhook.url))}</span></td>
+            <td>${escapeHtml(formatLabels.get(webhook.format) || webhook.format)}</td>
+            <td>${webhook.events.map(event => escapeHtml(eventLabels.get(event) || event)).join('<br>')}</td>
+            <td>${webhook.enabled ? 'Enabled' : 'Disabled'}</td>
+            <td>${last ? `${escapeHtml(last.status)}<br><small>${escapeHtml(last.sentAt.replace('T', ' ').substring(0, 16))} UTC</small>` : 'Never sent'}</td>
+            <td>
+              <details class="mb-1"><summary>Signing secret</summary><code>${escapeHtml(webhook.secret)}</code></details>
+              <form method="POST" action="/panel/webhooks/${webhook.id}/test" class="d-inline">
+                <button type="submit" class="btn btn-secondary btn-sm">Test</button>
+              </form>
+              <form method="POST" action="/panel/webhooks/${webhook.id}/toggle" class="d-inline">
+                <button type="submit" class="btn btn-secondary btn-sm">${webhook.enabled ? 'Disable' : 'Enable'}</button>
+              </form>
+              <form method="POST" action="/panel/webhooks/${webhook.id}/delete" class="d-inline"
+                    onsubmit="return confirm('Delete this webhook and its delivery log?');">
+                <button type="submit" class="btn btn-delete btn-sm">Delete</button>
+              </form>
+            </td>
+          </tr>`;
+  }).join('');
+  const formatOptions = WEBHOOK_FORMATS.map(format => `
+            <option value="${format.key}">${escapeHtml(format.label)}</option>`).join('');
+  const eventChecks = WEBHOOK_EVENTS.map(event => `
+          <div class="form-check form-check-inline">
+            <input class="form-check-input" type="checkbox" name="events" value="${event.key}" id="event_${event.key.replace('.', '_')}"${event.key === 'scan.completed' ? '' : ' checked'}>
+            <label class="form-check-label" for="event_${event.key.replace('.', '_')}">${escapeHtml(event.label)} (<code>${event.key}</code>)</label>
+          </div>`).join('');
+  const historyEnabled = getHistorySettings(db, user.email).enabled;
+
   const header = getHeaderHTML(req);
   const footer = getFooterHTML();
 
@@ -133,21 +430,38 @@ router.get('/panel', requireLogin, (req, res) => {
   <div class="container">
     <h1>User Panel for ${user.email}</h1>
 
+    <div class="card card-body mb-3">
+      <h3>Peplink API Credential Profiles</h3>
+      <p>To create API credentials, head over to your <a href="https://incontrol2.peplink.com/r/user/edit" target="_blank">Peplink ID settings</a> and create a new client applications to generate a client ID and client secret.
+      Add one profile per Peplink ID you manage; each warranty check can scan any or all of them.
+      The API base URL is only needed for an on-premises InControl Virtual Appliance.</p>
+      ${profileCards || '<p class="text-muted">No credential profiles yet.</p>'}
+      <form method="POST" action="/panel/profiles" class="border rounded p-3">
+        <h5>Add a Profile</h5>
+        ${renderProfileFields(null)}
+        <button type="submit" class="btn btn-lm">Add Profile</button>
+      </form>
+    </div>
     <form method="POST" action="/panel" class="card card-body mb-3">
-    <!--
       <h3>SMTP Settings</h3>
+      <p class="text-muted">
+        Optional. Emailed results are sent through this server; leave the host blank to use
+        this site's own mail server instead.
+      </p>
       <div class="mb-3">
         <label>Host</label>
-        <input type="text" name="smtp_host" class="form-control" value="${user.smtp_host || ''}">
+        <input type="text" name="smtp_host" class="form-control" placeholder="smtp.example.com"
+               value="${escapeHtml(user.smtp_host || '')}">
       </div>
       <div class="mb-3">
         <label>Port</label>
-        <select name="smtp_port" class="form-select">
-          <option value="25"  ${checked25}>25 (plain or STARTTLS)</option>
-          <option value="465" ${checked465}>465 (implicit SSL)</option>
-          <option value="587" ${checked587}>587 (STARTTLS)</option>
-          <option value="${user.smtp_port || ''}" selected>Custom (${user.smtp_port || ''})</option>
-        </select>
+        <input type="number" name="smtp_port" class="form-control" min="1" max="65535" list="smtpPorts"
+               value="${escapeHtml(user.smtp_port || '')}">
+        <datalist id="smtpPorts">
+          <option value="25">25 (plain or STARTTLS)</option>
+          <option value="465">465 (implicit SSL)</option>
+          <option value="587">587 (STARTTLS)</option>
+        </datalist>
       </div>
       <div class="mb-3">
         <label>Secure</label>
@@ -158,28 +472,107 @@ router.get('/panel', requireLogin, (req, res) => {
       </div>
       <div class="mb-3">
         <label>SMTP User</label>
-        <input type="text" name="smtp_user" class="form-control" value="${user.smtp_user || ''}">
+        <input type="text" name="smtp_user" class="form-control" value="${escapeHtml(user.smtp_user || '')}">
       </div>
       <div class="mb-3">
         <label>SMTP Pass</label>
-        <input type="password" name="smtp_pass" class="form-control" value="${user.smtp_pass || ''}">
-      </div>
-    -->
-      <h3>Peplink API Credentials</h3>
-      <p>To create API credentials, head over to your <a href="https://incontrol2.peplink.com/r/user/edit" target="_blank">Peplink ID settings</a> and create a new client applications to generate a client ID and client secret.</p>
-      <div class="mb-3">
-        <label>Peplink Client ID</label>
-        <input type="text" name="peplink_client_id" class="form-control" value="${user.peplink_client_id || ''}">
-      </div>
-      <div class="mb-3">
-        <label>Peplink Client Secret</label>
-        <input type="password" name="peplink_client_secret" class="form-control" value="${user.peplink_client_secret || ''}">
+        <input type="password" name="smtp_pass" class="form-control" autocomplete="new-password"
+               placeholder="${user.smtp_pass ? 'Leave blank to keep the current password' : ''}">
       </div>
 
-      <button type="submit" class="btn btn-lm">Save</button>
+      <div>
+        <button type="submit" class="btn btn-lm">Save</button>
+        <button type="submit" formaction="/panel/smtp-test" class="btn btn-secondary">Send Test Email</button>
+      </div>
     </form>
+    <div class="card card-body mb-3">
+      <h3>Calendar Subscription</h3>
+      <p class="text-muted">
+        A private URL your calendar app can subscribe to, showing warranty expiry dates (with reminders)
+        from your latest stored scan. Anyone with the URL can see those dates.
+      </p>
+      ${historyEnabled ? '' : `
+      <div class="alert alert-warning py-2">
+        The feed serves scans from your <a href="/history">scan history</a>, which is turned off, so it will be empty.
+      </div>`}
+      ${calendar.active ? `
+      <p>A subscription URL is active (created ${escapeHtml(calendar.createdAt.substring(0, 10))}).
+         For security it is only shown when created; create a new one if you need it again.</p>
+      <div>
+        <form method="POST" action="/panel/calendar" class="d-inline"
+              onsubmit="return confirm('Create a new URL? The current one will stop working.');">
+          <button type="submit" class="btn btn-lm btn-sm">Create New URL</button>
+        </form>
+        <form method="POST" action="/panel/calendar/revoke" class="d-inline"
+              onsubmit="return confirm('Revoke the calendar URL? Subscribed calendars will stop updating.');">
+          <button type="submit" class="btn btn-delete btn-sm">Revoke URL</button>
+        </form>
+      </div>` : `
+      <form method="POST" action="/panel/calendar">
+        <button type="submit" class="btn btn-lm btn-sm">Create Subscription URL</button>
+      </form>`}
+    </div>
+    <div class="card card-body mb-3">
+      <h3>API Tokens</h3>
+      <p class="text-muted">
+        Personal tokens for the REST API at <code>/api/v1</code>, sent as <code>Authorization: Bearer &lt;token&gt;</code>.
+        A token acts as you, limited to its scopes.
+      </p>
+      ${tokenRows ? `
+      <table class="table table-sm">
+        <thead><tr><th>Name</th><th>Token</th><th>Scopes</th><th>Created</th><th>Last used</th><th></th></tr></thead>
+        <tbody>${tokenRows}</tbody>
+      </table>` : '<p class="text-muted">No API tokens yet.</p>'}
+      <form method="POST" action="/panel/api-tokens" class="border rounded p-3">
+        <h5>Create a Token</h5>
+        <div class="mb-2">
+          <label>Name</label>
+          <input type="text" name="name" class="form-control" maxlength="100" placeholder="e.g. Nightly report script" required>
+        </div>
+        <div class="mb-2">${scopeChecks}
+        </div>
+        <button type="submit" class="btn btn-lm btn-sm">Create Token</button>
+      </form>
+    </div>
+    <div class="card card-body mb-3" id="webhooks">
+      <h3>Webhooks</h3>
+      <p class="text-muted">
+        Post to Slack, Microsoft Teams or your own endpoint after each scan. JSON deliveries are signed with the
+        webhook's secret (<code>X-Webhook-Signature</code>). Failed deliveries are retried three times.
+        <a href="/panel/webhooks/log">Delivery log</a>
+      </p>
+      ${webhookRows ? `
+      <table class="table table-sm">
+        <thead><tr><th>Name</th><th>Host</th><th>Format</th><th>Events</th><th>Status</th><th>Last delivery</th><th></th></tr></thead>
+        <tbody>${webhookRows}</tbody>
+      </table>` : '<p class="text-muted">No webhooks yet.</p>'}
+      <form method="POST" action="/panel/webhooks" class="border rounded p-3">
+        <h5>Add a Webhook</h5>
+        <div class="mb-2">
+          <label>Name</label>
+          <input type="text" name="name" class="form-control" maxlength="100" placeholder="e.g. #network-ops channel" required>
+        </div>
+        <div class="mb-2">
+          <label>URL</label>
+          <input type="url" name="url" class="form-control" placeholder="https://hooks.slack.com/services/..." required>
+        </div>
+        <div class="mb-2">
+          <label>Format</label>
+          <select name="format" class="form-select">${formatOptions}
+          </select>
+        </div>
+        <div class="mb-2">${eventChecks}
+        </div>
+        <button type="submit" class="btn btn-lm btn-sm">Add Webhook</button>
+      </form>
+    </div>
     <div class="card card-body mb-3">
     <a href="/warranty-check" class="btn btn-lm">Go to Warranty Check</a>
+    <a href="/schedules" class="btn btn-secondary">Scheduled Scans</a>
+    <a href="/customers" class="btn btn-secondary">Customer Contacts</a>
+    <a href="/history" class="btn btn-secondary">Scan History</a>
+    <a href="/worklist" class="btn btn-secondary">Renewal Worklist</a>
+    ${isAdmin(user.email) ? '<a href="/admin/prices" class="btn btn-secondary">Price List (admin)</a>' : ''}
     </div>
     <!-- Delete My Account form -->
     <form method="POST" class="card card-body mb-3" action="/panel/delete" 
@@ -196,23 +589,24 @@ router.get('/panel', requireLogin, (req, res) => {
   `);
 });
 
-// POST /panel => update user’s data
+// POST /panel => update user’s SMTP settings (validated first)
 router.post('/panel', requireLogin, (req, res) => {
   const db = req.app.get('db');
   const email = req.session.userEmail;
-  const {
-    smtp_host, smtp_port, smtp_user, smtp_pass, smtp_secure,
-    peplink_client_id, peplink_client_secret
-  } = req.body;
+  const { settings, error } = readSmtpForm(req.body, getUserSmtpSettings(db, email));
+  if (error) {
+    return res.send(renderNoticePage(req, 'Settings Not Saved', `
+    <div class="alert alert-danger">${escapeHtml(error)}</div>
+    <p>Nothing was saved.</p>
+    <a href="/panel" class="btn btn-secondary">Back</a>`));
+  }
 
   // ENCRYPT user inputs before storing
-  const enc_smtp_host = encrypt(smtp_host);
-  const enc_smtp_port = encrypt(smtp_port);
-  const enc_smtp_user = encrypt(smtp_user);
-  const enc_smtp_pass = encrypt(smtp_pass);
-  const enc_smtp_secure = encrypt(smtp_secure);
-  const enc_peplink_client_id = encrypt(peplink_client_id);
-  const enc_peplink_client_secret = encrypt(peplink_client_secret);
+  const enc_smtp_host = encrypt(settings.smtp_host);
+  const enc_smtp_port = encrypt(settings.smtp_port);
+  const enc_smtp_user = encrypt(settings.smtp_user);
+  const enc_smtp_pass = encrypt(settings.smtp_pass);
+  const enc_smtp_secure = encrypt(settings.smtp_secure);
 
   db.prepare(`
     UPDATE users
@@ -221,9 +615,7 @@ router.post('/panel', requireLogin, (req, res) => {
       smtp_port = ?,
       smtp_user = ?,
       smtp_pass = ?,
-      smtp_secure = ?,
-      peplink_client_id = ?,
-      peplink_client_secret = ?
+      smtp_secure = ?
     WHERE email = ?
   `).run(
     enc_smtp_host,
@@ -231,43 +623,171 @@ router.post('/panel', requireLogin, (req, res) => {
     enc_smtp_user,
     enc_smtp_pass,
     enc_smtp_secure,
-    enc_peplink_client_id,
-    enc_peplink_client_secret,
     email
   );
 
-  const header = getHeaderHTML(req);
-  const footer = getFooterHTML();
-  res.send(`
-<!DOCTYPE html>
-<html>
-<head>
-  <title>Settings Updated</title>
-  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
-  <style>
-    .btn-lm {
-      background-color: #2589BD;
-      color: #ffffff;
-      border: none;
-    }
-    .btn-lm:hover {
-      opacity: 0.9;
-      background-color: #2589BD;
-      color: #ffffff;
-    }
-  </style>
-</head>
-<body>
-  ${header}
-  <div class="container">
+  res.send(renderNoticePage(req, 'Settings Updated', `
     <h1>Settings Updated!</h1>
-    <a href="/warranty-check" class="btn btn-lm">Return to Warranty Checker</a>
-  </div>
-  ${footer}
-  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
-</body>
-</html>
-  `);
+    <p>${settings.smtp_host
+      ? `Emailed results and scheduled digests will be sent through ${escapeHtml(settings.smtp_host)}.`
+      : 'Emailed results and scheduled digests will be sent through the system mail server.'}</p>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>
+    <a href="/warranty-check" class="btn btn-lm">Return to Warranty Checker</a>`));
+});
+
+// POST /panel/smtp-test => send a test email to the user with the (unsaved) form settings
+router.post('/panel/smtp-test', requireLogin, async (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  const { settings, error } = readSmtpForm(req.body, getUserSmtpSettings(db, email));
+  if (error) {
+    return res.send(renderNoticePage(req, 'Test Email Not Sent', `
+    <div class="alert alert-danger">${escapeHtml(error)}</div>
+    <a href="/panel" class="btn btn-secondary">Back</a>`));
+  }
+
+  const via = settings.smtp_host || 'the system mail server';
+  let resultHtml;
+  try {
+    await sendMail({
+      to: email,
+      subject: 'Peplink Warranty Checker: test email',
+      text: `This test email was sent through ${via}. Your SMTP settings work.`
+    }, settings);
+    resultHtml = `<div class="alert alert-success">Test email sent to ${escapeHtml(email)} through ${escapeHtml(via)}.</div>`;
+  } catch (err) {
+    console.log('DEBUG (Node): SMTP test failed =>', err.message);
+    resultHtml = `<div class="alert alert-danger">Sending through ${escapeHtml(via)} failed: ${escapeHtml(err.message)}</div>`;
+  }
+
+  res.send(renderNoticePage(req, 'Test Email', `
+    <h1>Test Email</h1>
+    ${resultHtml}
+    <p>Settings are not saved by a test; use Save in the control panel.</p>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>`));
+});
+
+// POST /panel/calendar => create (or replace) the calendar subscription URL
+router.post('/panel/calendar', requireLogin, (req, res) => {
+  const token = createCalendarToken(req.app.get('db'), req.session.userEmail);
+  const url = `${req.protocol}://${req.get('host')}/calendar/${token}.ics`;
+  console.log('DEBUG (Node): calendar subscription URL created for', req.session.userEmail);
+
+  res.send(renderNoticePage(req, 'Calendar Subscription', `
+    <h1>Calendar Subscription URL</h1>
+    <p>Subscribe to this URL in your calendar app (Outlook, Google Calendar, Apple Calendar).
+       Copy it now: it won't be shown again.</p>
+    <input type="text" class="form-control mb-2" readonly value="${escapeHtml(url)}" onclick="this.select()">
+    <p>For one event per organization per day instead of one per device, add <code>?group=org</code> to the end.</p>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>`));
+});
+
+// POST /panel/calendar/revoke => the subscription URL stops working
+router.post('/panel/calendar/revoke', requireLogin, (req, res) => {
+  revokeCalendarToken(req.app.get('db'), req.session.userEmail);
+  res.redirect('/panel');
+});
+
+// POST /panel/api-tokens => create a personal API token and show it once
+router.post('/panel/api-tokens', requireLogin, (req, res) => {
+  const scopes = asArray(req.body.scopes);
+  const { fields, error } = validateApiToken({ name: req.body.name, scopes });
+  if (error) {
+    return res.send(renderNoticePage(req, 'Token Not Created', `
+    <div class="alert alert-danger">${escapeHtml(error)}</div>
+    <a href="/panel" class="btn btn-secondary">Back</a>`));
+  }
+
+  const { token } = createApiToken(req.app.get('db'), req.session.userEmail, fields);
+  console.log('DEBUG (Node): API token created for', req.session.userEmail, fields.scopes);
+  res.send(renderNoticePage(req, 'API Token Created', `
+    <h1>API Token Created</h1>
+    <p>Copy the token for <strong>${escapeHtml(fields.name)}</strong> now: it won't be shown again.</p>
+    <input type="text" class="form-control mb-2" readonly value="${escapeHtml(token)}" onclick="this.select()">
+    <p>Example:</p>
+    <pre class="bg-light p-2">curl -X POST -H "Authorization: Bearer ${escapeHtml(token)}" -H "Content-Type: application/json" \\
+     -d '{"window_days": 90}' ${escapeHtml(`${req.protocol}://${req.get('host')}`)}/api/v1/scans</pre>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>`));
+});
+
+// POST /panel/api-tokens/:id/revoke => delete a token
+router.post('/panel/api-tokens/:id/revoke', requireLogin, (req, res) => {
+  revokeApiToken(req.app.get('db'), req.session.userEmail, req.params.id);
+  res.redirect('/panel');
+});
+
+// POST /panel/profiles => add a credential profile (after a live check)
+router.post('/panel/profiles', requireLogin, async (req, res) => {
+  const db = req.app.get('db');
+  const { fields, error } = readProfileForm(req.body, true);
+  if (error) {
+    return res.send(renderProfileError(req, error));
+  }
+
+  const check = await checkProfileCredentials(fields);
+  if (!check.ok && check.rejected) {
+    return res.send(renderProfileError(req, check.message));
+  }
+
+  createProfile(db, req.session.userEmail, fields);
+  res.send(renderNoticePage(req, 'Profile Added', `
+    <h1>Profile "${escapeHtml(fields.name)}" Added!</h1>
+    ${renderCredentialCheckHTML(check)}
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>
+    <a href="/warranty-check" class="btn btn-lm">Return to Warranty Checker</a>`));
+});
+
+// POST /panel/profiles/:id => edit a credential profile (after a live check)
+router.post('/panel/profiles/:id', requireLogin, async (req, res) => {
+  const db = req.app.get('db');
+  const existing = getProfile(db, req.session.userEmail, req.params.id);
+  if (!existing) {
+    return res.redirect('/panel');
+  }
+  const { fields, error } = readProfileForm(req.body, false);
+  if (error) {
+    return res.send(renderProfileError(req, error));
+  }
+
+  // A blank secret means "keep the stored one", so check with that
+  const check = await checkProfileCredentials({
+    ...fields,
+    clientSecret: fields.clientSecret || existing.clientSecret
+  });
+  if (!check.ok && check.rejected) {
+    return res.send(renderProfileError(req, check.message));
+  }
+
+  updateProfile(db, req.session.userEmail, req.params.id, fields);
+  res.send(renderNoticePage(req, 'Profile Updated', `
+    <h1>Profile "${escapeHtml(fields.name)}" Updated!</h1>
+    ${renderCredentialCheckHTML(check)}
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>
+    <a href="/warranty-check" class="btn btn-lm">Return to Warranty Checker</a>`));
+});
+
+// POST /panel/profiles/:id/test => re-check a saved profile without editing it
+router.post('/panel/profiles/:id/test', requireLogin, async (req, res) => {
+  const db = req.app.get('db');
+  const profile = getProfile(db, req.session.userEmail, req.params.id);
+  if (!profile) {
+    return res.redirect('/panel');
+  }
+
+  const check = await checkProfileCredentials(profile);
+  res.send(renderNoticePage(req, 'Credential Check', `
+    <h1>Profile "${escapeHtml(profile.name)}"</h1>
+    ${renderCredentialCheckHTML(check)}
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>`));
+});
+
+// POST /panel/profiles/:id/delete => delete a credential profile
+router.post('/panel/profiles/:id/delete', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  if (getProfile(db, req.session.userEmail, req.params.id)) {
+    deleteProfile(db, req.session.userEmail, req.params.id);
+  }
+  res.redirect('/panel');
 });
 
 /**
@@ -278,7 +798,17 @@ router.post('/panel/delete', requireLogin, (req, res) => {
     const db = req.app.get('db');
     const email = req.session.userEmail;
   
-    // Remove user row
+    // Remove user row and everything they own
+    db.prepare('DELETE FROM credential_profiles WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM scan_schedules WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM customer_contacts WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM notice_log WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM scan_history WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM worklist_items WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM api_tokens WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM webhook_deliveries WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM webhooks WHERE user_email = ?').run(email);
+    db.prepare('DELETE FROM webhook_snapshots WHERE user_email = ?').run(email);
     db.prepare('DELETE FROM users WHERE email = ?').run(email);
   
     // Destroy session, then redirect with ?deleted=1
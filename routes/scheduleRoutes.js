@@ -0,0 +1,361 @@
+/******************************************************************************
+ * routes/scheduleRoutes.js
+ *
+ * Recurring warranty scans (see scheduler.js):
+ *   GET /schedules               => list schedules + add form
+ *   POST /schedules              => add a schedule
+ *   POST /schedules/:id/toggle   => enable / disable
+ *   POST /schedules/:id/run      => run now (emails the digest as usual)
+ *   POST /schedules/:id/delete   => delete
+ ******************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { DEFAULT_WINDOW_DAYS } = require('../peplinkCheck');
+const { listProfiles, asArray } = require('../credentialProfiles');
+const { escapeHtml } = require('../resultFormats');
+const { DAY_NAMES, computeNextRun, describeSchedule, runSchedule } = require('../scheduler');
+
+// Expiry windows offered on the form (same as the warranty check form)
+const WINDOW_CHOICES = [30, 60, 90, 180, 365];
+
+// Loose check, just enough to catch typos in the recipients field
+const EMAIL_RE = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+function requireLogin(req, res, next) {
+  if (req.session && req.session.userEmail) {
+    return next();
+  }
+  return res.redirect('/login');
+}
+
+function getHeaderHTML(req) {
+  const isLoggedIn = !!req.session.userEmail;
+  const loginLogoutBtn = isLoggedIn
+    ? `<a href="/logout" class="btn btn-lm">Logout</a>`
+    : `<a href="/login" class="btn btn-lm">Login</a>`;
+
+  return `
+<nav class="navbar navbar-expand-lg navbar-light bg-light mb-4">
+  <div class="container-fluid">
+    <a class="navbar-brand" href="https://www.peplinkwarrantycheck.com">
+      <img src="https://f000.backblazeb2.com/file/llama-public/llama-logo.png" 
+           width="176px" height="80px" alt="Logo" class="d-inline-block align-text-top">
+    </a>
+    <button class="navbar-toggler" type="button" data-bs-toggle="collapse" 
+            data-bs-target="#navbarSupportedContent" aria-controls="navbarSupportedContent" 
+            aria-expanded="false" aria-label="Toggle navigation">
+      <span class="navbar-toggler-icon"></span>
+    </button>
+    <div class="collapse navbar-collapse" id="navbarSupportedContent">
+      <ul class="navbar-nav ms-auto mb-2 mb-lg-0">
+        <li class="nav-item"><a class="nav-link" href="/panel">Settings</a></li>
+      </ul>
+      ${loginLogoutBtn}
+    </div>
+  </div>
+</nav>
+  `;
+}
+
+function getFooterHTML() {
+  return `
+<footer class="mt-5 py-3 bg-light footer">
+  <div class="container text-center">
+    <p class="mb-1">&copy; 2024 Llama Networks LLC</p>
+    <small>
+      <a href="https://www.llamanetworks.com/privacy-policy" target="_blank">Privacy Policy</a> | 
+      <a href="https://www.llamanetworks.com/terms-of-use" target="_blank">Terms of Use</a> | 
+      <a href="https://www.llamanetworks.com/cookie-policy" target="_blank">Cookie Policy</a>
+    </small>
+  </div>
+</footer>
+  `;
+}
+
+/**
+ * readScheduleForm(body, profiles):
+ *   Validates the add form. Returns { schedule, error }.
+ */
+function readScheduleForm(body, profiles, email) {
+  const frequency = (body.frequency === 'monthly') ? 'monthly' : 'weekly';
+  const dayOfWeek = parseInt(body.day_of_week, 10);
+  const dayOfMonth = parseInt(body.day_of_month, 10);
+  const hour = parseInt(body.hour, 10);
+  const windowDays = parseInt(body.window_days, 10);
+  const knownIds = profiles.map(p => String(p.id));
+  const profileIds = asArray(body.profile_ids).map(String).filter(id => knownIds.includes(id));
+  const recipients = (body.recipients || '').split(/[,;\s]+/).filter(Boolean);
+
+  let error = null;
+  if (frequency === 'weekly' && !(dayOfWeek >= 0 && dayOfWeek <= 6)) {
+    error = 'Please choose a day of the week.';
+  } else if (frequency === 'monthly' && !(dayOfMonth >= 1 && dayOfMonth <= 28)) {
+    error = 'Day of the month must be between 1 and 28.';
+  } else if (!(hour >= 0 && hour <= 23)) {
+    error = 'Please choose an hour between 0 and 23.';
+  } else if (recipients.some(r => !EMAIL_RE.test(r))) {
+    error = 'One or more recipient addresses are not valid email addresses.';
+  }
+
+  return {
+    error,
+    schedule: {
+      name: (body.name || '').trim(),
+      frequency,
+      day_of_week: frequency === 'weekly' ? dayOfWeek : null,
+      day_of_month: frequency === 'monthly' ? dayOfMonth : null,
+      hour,
+      profile_ids: JSON.stringify(profileIds),
+      window_days: (windowDays > 0) ? windowDays : DEFAULT_WINDOW_DAYS,
+      include_all: body.include_all === 'on' ? 1 : 0,
+      recipients: recipients.length ? recipients.join(', ') : email
+    }
+  };
+}
+
+/**
+ * getOwnSchedule(db, email, id): a schedule row, or null if it isn't theirs.
+ */
+function getOwnSchedule(db, email, id) {
+  return db.prepare('SELECT * FROM scan_schedules WHERE id = ? AND user_email = ?').get(id, email) || null;
+}
+
+// GET /schedules => list + add form
+router.get('/schedules', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  const profiles = listProfiles(db, email);
+  const schedules = db.prepare('SELECT * FROM scan_schedules WHERE user_email = ? ORDER BY id').all(email);
+
+  const profileName = (id) => {
+    const profile = profiles.find(p => String(p.id) === String(id));
+    return profile ? profile.name : '(deleted profile)';
+  };
+
+  const rows = schedules.map(schedule => {
+    const ids = JSON.parse(schedule.profile_ids || '[]');
+    const scope = schedule.include_all ? 'All devices' : `Within ${schedule.window_days} days`;
+    const lastRun = schedule.last_run_at
+      ? `${escapeHtml(schedule.last_run_at)} (${escapeHtml(schedule.last_status)})` +
+        (schedule.last_error ? `<br><small class="text-danger">${escapeHtml(schedule.last_error)}</small>` : '')
+      : 'Never';
+    return `
+      <tr class="${schedule.enabled ? '' : 'text-muted'}">
+        <td>${escapeHtml(schedule.name || '-')}</td>
+        <td>${escapeHtml(describeSchedule(schedule))}</td>
+        <td>${escapeHtml(ids.length ? ids.map(profileName).join(', ') : 'All profiles')}</td>
+        <td>${escapeHtml(scope)}</td>
+        <td>${escapeHtml(schedule.recipients)}</td>
+        <td>${schedule.enabled ? escapeHtml(schedule.next_run_at || '') : 'Disabled'}</td>
+        <td>${lastRun}</td>
+        <td class="text-nowrap">
+          <form method="POST" action="/schedules/${schedule.id}/run" class="d-inline">
+            <button type="submit" class="btn btn-secondary btn-sm">Run now</button>
+          </form>
+          <form method="POST" action="/schedules/${schedule.id}/toggle" class="d-inline">
+            <button type="submit" class="btn btn-secondary btn-sm">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+          </form>
+          <form method="POST" action="/schedules/${schedule.id}/delete" class="d-inline"
+                onsubmit="return confirm('Delete this schedule?');">
+            <button type="submit" class="btn btn-delete btn-sm">Delete</button>
+          </form>
+        </td>
+      </tr>`;
+  }).join('');
+
+  const dayOptions = DAY_NAMES.map((day, i) =>
+    `<option value="${i}" ${i === 1 ? 'selected' : ''}>${day}</option>`).join('');
+  const hourOptions = Array.from({ length: 24 }, (_, h) =>
+    `<option value="${h}" ${h === 7 ? 'selected' : ''}>${String(h).padStart(2, '0')}:00</option>`).join('');
+  const windowOptions = WINDOW_CHOICES.map(days =>
+    `<option value="${days}" ${days === DEFAULT_WINDOW_DAYS ? 'selected' : ''}>${days} days</option>`).join('');
+  const profileChecks = profiles.map(profile => `
+          <div class="form-check form-check-inline">
+            <input class="form-check-input" type="checkbox" name="profile_ids" id="sp_${profile.id}" value="${profile.id}">
+            <label class="form-check-label" for="sp_${profile.id}">${escapeHtml(profile.name)}</label>
+          </div>`).join('');
+
+  const header = getHeaderHTML(req);
+  const footer = getFooterHTML();
+
+  res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Scheduled Scans</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+  <style>
+    .btn-lm {
+      background-color: #2589BD;
+      color: #ffffff;
+      border: none;
+    }
+    .btn-lm:hover {
+      opacity: 0.9;
+      background-color: #2589BD;
+      color: #ffffff;
+    }
+    body {
+      color: #3b5563;
+    }
+    .btn-delete {
+      background-color: #d9534f;
+      color: #ffffff;
+      border: none;
+    }
+  </style>
+</head>
+<body>
+  ${header}
+  <div class="container">
+    <h1>Scheduled Scans</h1>
+    <p>Scheduled scans run on this server and email an HTML summary with the full CSV attached.
+       Times are server time. Runs missed while the server was down are skipped.</p>
+
+    ${schedules.length ? `
+    <div class="table-responsive mb-4">
+      <table class="table table-sm align-middle">
+        <thead><tr><th>Name</th><th>When</th><th>Profiles</th><th>Scope</th><th>Recipients</th><th>Next run</th><th>Last run</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>` : '<p class="text-muted">No scheduled scans yet.</p>'}
+
+    <form method="POST" action="/schedules" class="card card-body mb-3">
+      <h3>Add a Schedule</h3>
+      <div class="row g-3">
+        <div class="col-md-4">
+          <label class="form-label">Name (optional)</label>
+          <input type="text" name="name" class="form-control" placeholder="e.g. Monday digest">
+        </div>
+        <div class="col-md-2">
+          <label class="form-label">Frequency</label>
+          <select name="frequency" class="form-select">
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+        </div>
+        <div class="col-md-2">
+          <label class="form-label">Day (weekly)</label>
+          <select name="day_of_week" class="form-select">${dayOptions}</select>
+        </div>
+        <div class="col-md-2">
+          <label class="form-label">Day of month (monthly)</label>
+          <input type="number" name="day_of_month" class="form-control" min="1" max="28" value="1">
+        </div>
+        <div class="col-md-2">
+          <label class="form-label">Time</label>
+          <select name="hour" class="form-select">${hourOptions}</select>
+        </div>
+        <div class="col-md-12">
+          <label class="form-label">Credential profiles (none checked = all)</label>
+          <div>${profileChecks || '<span class="text-muted">No profiles yet - add one in the Control Panel.</span>'}</div>
+        </div>
+        <div class="col-md-3">
+          <label class="form-label">Expiry window</label>
+          <select name="window_days" class="form-select">${windowOptions}</select>
+        </div>
+        <div class="col-md-3 d-flex align-items-end">
+          <div class="form-check">
+            <input class="form-check-input" type="checkbox" name="include_all" id="schedIncludeAll">
+            <label class="form-check-label" for="schedIncludeAll">Include all devices</label>
+          </div>
+        </div>
+        <div class="col-md-6">
+          <label class="form-label">Email to (comma-separated)</label>
+          <input type="text" name="recipients" class="form-control" value="${escapeHtml(email)}">
+        </div>
+      </div>
+      <div class="mt-3">
+        <button type="submit" class="btn btn-lm">Add Schedule</button>
+      </div>
+    </form>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>
+  </div>
+  ${footer}
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+</body>
+</html>
+  `);
+});
+
+// POST /schedules => add a schedule
+router.post('/schedules', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  const { schedule, error } = readScheduleForm(req.body, listProfiles(db, email), email);
+  if (error) {
+    const header = getHeaderHTML(req);
+    const footer = getFooterHTML();
+    return res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Schedule Not Saved</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+</head>
+<body>
+  ${header}
+  <div class="container">
+    <div class="alert alert-danger">${escapeHtml(error)} Nothing was saved.</div>
+    <a href="/schedules" class="btn btn-secondary">Back</a>
+  </div>
+  ${footer}
+</body>
+</html>
+    `);
+  }
+
+  db.prepare(`
+    INSERT INTO scan_schedules
+      (user_email, name, frequency, day_of_week, day_of_month, hour, profile_ids,
+       window_days, include_all, recipients, enabled, next_run_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+  `).run(
+    email,
+    schedule.name,
+    schedule.frequency,
+    schedule.day_of_week,
+    schedule.day_of_month,
+    schedule.hour,
+    schedule.profile_ids,
+    schedule.window_days,
+    schedule.include_all,
+    schedule.recipients,
+    computeNextRun(schedule, new Date()).toISOString(),
+    new Date().toISOString()
+  );
+  res.redirect('/schedules');
+});
+
+// POST /schedules/:id/toggle => enable/disable (re-enabling picks the next future slot)
+router.post('/schedules/:id/toggle', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const schedule = getOwnSchedule(db, req.session.userEmail, req.params.id);
+  if (schedule) {
+    const enabled = schedule.enabled ? 0 : 1;
+    db.prepare('UPDATE scan_schedules SET enabled = ?, next_run_at = ? WHERE id = ?')
+      .run(enabled, computeNextRun(schedule, new Date()).toISOString(), schedule.id);
+  }
+  res.redirect('/schedules');
+});
+
+// POST /schedules/:id/run => run now in the background
+router.post('/schedules/:id/run', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const schedule = getOwnSchedule(db, req.session.userEmail, req.params.id);
+  if (schedule) {
+    runSchedule(db, schedule)
+      .catch(err => console.error(`Scheduled scan ${schedule.id} could not be recorded:`, err));
+  }
+  res.redirect('/schedules');
+});
+
+// POST /schedules/:id/delete => delete
+router.post('/schedules/:id/delete', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  db.prepare('DELETE FROM scan_schedules WHERE id = ? AND user_email = ?')
+    .run(req.params.id, req.session.userEmail);
+  res.redirect('/schedules');
+});
+
+module.exports = router;
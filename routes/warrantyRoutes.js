@@ -2,18 +2,50 @@
  * routes/warrantyRoutes.js
  *
  * Provides:
- *   GET /warranty-check         => show the form w/ spinner
- *   POST /warranty-check        => run the Peplink check, store CSV in session
- *   GET /warranty-check/results => parse CSV to table, show on page
- *   GET /warranty-check/download => download the raw CSV
+ *   GET /warranty-check         => show the form w/ spinner + scan options
+ *   GET /warranty-check/orgs    => JSON list of orgs for the org filter
+ *   POST /warranty-check        => start a scan job, redirect to its progress page
+ *   GET /warranty-check/jobs/:id        => progress page (SSE w/ polling fallback)
+ *   GET /warranty-check/jobs/:id/status => JSON job status
+ *   GET /warranty-check/jobs/:id/events => Server-Sent Events job status stream
+ *   GET /warranty-check/results => render the stored result as a table
+ *                                  (+ renewal cost estimate, ?term=<months>)
+ *   POST /warranty-check/retry-failed => re-scan only the orgs that failed
+ *   POST /warranty-check/email  => email the result to the user (their SMTP, else system)
+ *   POST /warranty-check/columns => save the user's column choice (table + CSV)
+ *   GET /warranty-check/download => download the result as CSV (with the
+ *                                   page's filters/sort as query parameters);
+ *                                   format=json or format=ndjson for the
+ *                                   versioned JSON schema instead
+ *   GET /warranty-check/results.json => the current result as JSON (same
+ *                                       schema and filters)
+ *   GET /warranty-check/download.xlsx => the same as an Excel workbook
+ *   GET /warranty-check/download.ics  => expiry dates as a calendar, one event
+ *                                        per device (or per org per day with
+ *                                        group=org)
  *
  * Also logs debug info to the Node console and the browser console.
  ******************************************************************************/
 
 const express = require('express');
-const { runWarrantyCheck } = require('../peplinkCheck');
+const {
+  DEFAULT_WINDOW_DAYS, normalizeScanOptions, listOrganizations, runProfilesCheck,
+  failedScanTargets, mergeScanResults
+} = require('../peplinkCheck');
 const { decrypt } = require('../cryptoUtils');
-const nodemailer = require('nodemailer'); // only if you also want to email results
+const { listProfiles, selectScanProfiles, asArray } = require('../credentialProfiles');
+const {
+  ALL_COLUMNS, resolveColumns, escapeHtml, toCsv, toHtmlTable, toOrgStatusTable, toEstimateHtml, toDashboardHtml,
+  toResultJson, toNdjson,
+  parseResultFilters, filterResult
+} = require('../resultFormats');
+const { toXlsxBuffer } = require('../xlsxExport');
+const { toIcs } = require('../icsExport');
+const { createJob, getJob, subscribe, toJobStatus } = require('../scanJobs');
+const { afterScan } = require('../scanHooks');
+const { getHistorySettings } = require('../scanHistory');
+const { getCurrency, listPrices, listTerms, estimateRenewalCost } = require('../priceList');
+const { sendResultsEmail } = require('../mailer');
 const router = express.Router();
 
 /** 
@@ -42,83 +74,298 @@ function getDecryptedUser(db, email) {
     smtp_user: decrypt(row.smtp_user),
     smtp_pass: decrypt(row.smtp_pass),
     smtp_secure: decrypt(row.smtp_secure),
-    peplink_client_id: decrypt(row.peplink_client_id),
-    peplink_client_secret: decrypt(row.peplink_client_secret)
+    scan_window_days: row.scan_window_days || DEFAULT_WINDOW_DAYS,
+    scan_include_all: !!row.scan_include_all,
+    result_columns: resolveColumns(JSON.parse(row.result_columns || '[]'))
   };
 }
 
+// Expiry windows offered on the form (any positive number is accepted)
+const WINDOW_CHOICES = [30, 60, 90, 180, 365];
+
 /**
- * parseCsvLine(line):
- *   Splits a single CSV line into columns, respecting quotes so that commas
- *   inside quotes do not break the field.
- *   Returns an array of column strings.
+ * parseScanOptions(body):
+ *   Reads the scan option fields posted by the warranty check form.
  */
-function parseCsvLine(line) {
-  let columns = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (c === '"') {
-      inQuotes = !inQuotes;
-    } else if (c === ',' && !inQuotes) {
-      columns.push(current);
-      current = '';
-    } else {
-      current += c;
+function parseScanOptions(body) {
+  return normalizeScanOptions({
+    windowDays: body.window_days,
+    includeAll: body.include_all === 'on'
+  });
+}
+
+/**
+ * renderScanOptionsHTML(user, profiles):
+ *   The credential profile / expiry window / inventory mode / org filter
+ *   controls, pre-filled from the user's saved defaults.
+ */
+function renderScanOptionsHTML(user, profiles) {
+  const profileChecks = profiles.map(profile => `
+            <div class="form-check form-check-inline">
+              <input class="form-check-input profile-check" type="checkbox" name="profile_ids"
+                     id="profile_${profile.id}" value="${profile.id}" checked>
+              <label class="form-check-label" for="profile_${profile.id}">${escapeHtml(profile.name)}</label>
+            </div>`).join('');
+
+  const windowChoices = WINDOW_CHOICES.includes(user.scan_window_days)
+    ? WINDOW_CHOICES
+    : WINDOW_CHOICES.concat(user.scan_window_days).sort((a, b) => a - b);
+  const windowOptions = windowChoices.map(days => {
+    const selected = (days === user.scan_window_days) ? 'selected' : '';
+    return `<option value="${days}" ${selected}>${days} days</option>`;
+  }).join('');
+
+  return `
+        <div class="mb-3">
+          <label class="form-label">Credential profiles</label>
+          <div>${profileChecks}</div>
+        </div>
+        <div class="row g-3 mb-3">
+          <div class="col-md-4">
+            <label for="windowDays" class="form-label">Expiry window</label>
+            <select name="window_days" id="windowDays" class="form-select">
+              ${windowOptions}
+            </select>
+          </div>
+          <div class="col-md-8 d-flex align-items-end">
+            <div class="form-check">
+              <input class="form-check-input" type="checkbox" name="include_all" id="includeAll" ${user.scan_include_all ? 'checked' : ''}>
+              <label class="form-check-label" for="includeAll">
+                Include all devices (full inventory, ignores the expiry window)
+              </label>
+            </div>
+          </div>
+        </div>
+        <div class="mb-3">
+          <label class="form-label">Organizations</label>
+          <div id="orgList" class="border rounded p-2 small">
+            All organizations will be scanned.
+            <button type="button" class="btn btn-link btn-sm p-0 align-baseline" id="loadOrgsBtn">Choose organizations...</button>
+          </div>
+        </div>
+        <div class="form-check mb-3">
+          <input class="form-check-input" type="checkbox" name="save_default" id="saveDefault">
+          <label class="form-check-label" for="saveDefault">Remember expiry window and inventory mode as my default</label>
+        </div>`;
+}
+
+/**
+ * renderColumnChooserHTML(columns):
+ *   Collapsible checkbox list of every available column; the saved choice
+ *   is used for the table and the CSV download.
+ */
+function renderColumnChooserHTML(columns) {
+  const selected = columns.map(col => col.key);
+  const checks = ALL_COLUMNS.map(col => `
+      <div class="form-check form-check-inline">
+        <input class="form-check-input" type="checkbox" name="columns" id="col_${col.key}" value="${col.key}"
+               ${selected.includes(col.key) ? 'checked' : ''}>
+        <label class="form-check-label" for="col_${col.key}">${escapeHtml(col.title)}</label>
+      </div>`).join('');
+  return `
+<details class="mb-3">
+  <summary>Columns</summary>
+  <form method="POST" action="/warranty-check/columns" class="mt-2">
+    ${checks}
+    <div class="mt-2">
+      <button type="submit" class="btn btn-secondary btn-sm">Apply</button>
+      <small class="text-muted ms-2">Saved for next time and used for the CSV download.</small>
+    </div>
+  </form>
+</details>`;
+}
+
+/**
+ * renderTableControlsHTML(result):
+ *   Search box and filters for the interactive results table. The script
+ *   from renderTableScript() does the work in the browser.
+ */
+function renderTableControlsHTML(result) {
+  const orgs = new Map();
+  for (const device of result.devices) {
+    const key = `${device.profile_id}:${device.org_id}`;
+    if (!orgs.has(key)) {
+      orgs.set(key, { label: device.org_name + (result.profiles && result.profiles.length > 1 ? ` (${device.profile_name})` : ''), count: 0 });
     }
+    orgs.get(key).count++;
   }
-  // push last column if any
-  if (current) {
-    columns.push(current);
-  }
-  return columns;
+  const orgOptions = Array.from(orgs.entries())
+    .sort((a, b) => a[1].label.localeCompare(b[1].label))
+    .map(([key, org]) => `<option value="${escapeHtml(key)}">${escapeHtml(org.label)} (${org.count})</option>`)
+    .join('');
+
+  return `
+<div class="row g-2 align-items-end mb-2" id="tableControls">
+  <div class="col-md-3">
+    <label class="form-label mb-0">Search</label>
+    <input type="search" id="fltSearch" class="form-control form-control-sm" placeholder="Serial, org, model...">
+  </div>
+  <div class="col-md-2">
+    <label class="form-label mb-0">Status</label>
+    <select id="fltStatus" class="form-select form-select-sm">
+      <option value="">All</option>
+      <option value="expired">Expired</option>
+      <option value="upcoming">Upcoming</option>
+    </select>
+  </div>
+  <div class="col-md-2">
+    <label class="form-label mb-0">Days remaining</label>
+    <div class="input-group input-group-sm">
+      <input type="number" id="fltMin" class="form-control" placeholder="min">
+      <input type="number" id="fltMax" class="form-control" placeholder="max">
+    </div>
+  </div>
+  <div class="col-md-3">
+    <label class="form-label mb-0">Organization</label>
+    <select id="fltOrg" class="form-select form-select-sm">
+      <option value="">All organizations</option>
+      ${orgOptions}
+    </select>
+  </div>
+  <div class="col-md-2">
+    <div class="form-check">
+      <input class="form-check-input" type="checkbox" id="fltGroup">
+      <label class="form-check-label" for="fltGroup">Group by org</label>
+    </div>
+  </div>
+</div>
+<p class="text-muted small mb-1" id="tableCount"></p>`;
 }
 
 /**
- * parseCsvToTable(csv):
- *   Splits CSV by lines, uses parseCsvLine on each line,
- *   builds an HTML table string.
+ * renderTableScript():
+ *   Client-side sort (click a header), search, filters and grouped-by-org
+ *   view for #resultsTable. Keeps the download links' query strings in step
+ *   so the downloads match what is shown (see parseResultFilters).
  */
-function parseCsvToTable(csv) {
-  const trimCsv = csv.trim();
-  if (!trimCsv) {
-    return '<p>No data.</p>';
-  }
-
-  const lines = trimCsv.split('\n');
-  if (!lines.length) {
-    return '<p>No lines in CSV.</p>';
-  }
-
-  // header line
-  const headerLine = lines[0];
-  const headerCols = parseCsvLine(headerLine).map(col => col.replace(/^"|"$/g, ''));
-  let thead = '<tr>';
-  for (const col of headerCols) {
-    thead += `<th>${col}</th>`;
-  }
-  thead += '</tr>';
-
-  let tbody = '';
-  for (let i = 1; i < lines.length; i++) {
-    const rowStr = lines[i].trim();
-    if (!rowStr) continue; // skip blank line
-    const cols = parseCsvLine(rowStr).map(col => col.replace(/^"|"$/g, ''));
-    tbody += '<tr>';
-    for (const c of cols) {
-      tbody += `<td>${c}</td>`;
+function renderTableScript() {
+  return `
+<script>
+(function() {
+  const table = document.getElementById('resultsTable');
+  if (!table) return;
+  const tbody = table.tBodies[0];
+  const rows = Array.from(tbody.rows);
+  const headers = Array.from(table.tHead.rows[0].cells);
+  const el = (id) => document.getElementById(id);
+  const downloads = Array.from(document.querySelectorAll('a[data-export]'));
+  let sortIndex = -1;
+  let sortDir = 'asc';
+  const collapsed = new Set();
+
+  // Same ordering as compareCells() in resultFormats.js
+  function compareCells(a, b) {
+    const na = Number(a), nb = Number(b);
+    if (a !== '' && b !== '' && !isNaN(na) && !isNaN(nb)) return na - nb;
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+  }
+
+  function filters() {
+    return {
+      q: el('fltSearch').value.trim().toLowerCase(),
+      status: el('fltStatus').value,
+      min: el('fltMin').value,
+      max: el('fltMax').value,
+      org: el('fltOrg').value
+    };
+  }
+
+  function matches(row, f) {
+    const days = Number(row.dataset.days);
+    if (f.status === 'expired' && row.dataset.expired !== '1') return false;
+    if (f.status === 'upcoming' && row.dataset.expired === '1') return false;
+    if (f.min !== '' && days < Number(f.min)) return false;
+    if (f.max !== '' && days > Number(f.max)) return false;
+    if (f.org && row.dataset.org !== f.org) return false;
+    if (f.q) {
+      return Array.from(row.cells).some(cell => cell.textContent.toLowerCase().includes(f.q));
     }
-    tbody += '</tr>';
+    return true;
   }
 
-  return `
-<table class="table table-striped">
-  <thead>${thead}</thead>
-  <tbody>${tbody}</tbody>
-</table>
-  `;
+  function render() {
+    const f = filters();
+    tbody.querySelectorAll('tr.group-row').forEach(r => r.remove());
+    let visible = rows.filter(row => matches(row, f));
+    if (sortIndex >= 0) {
+      const sign = sortDir === 'desc' ? -1 : 1;
+      visible = visible.map((row, i) => ({ row, i }))
+        .sort((a, b) => sign * compareCells(a.row.cells[sortIndex].textContent, b.row.cells[sortIndex].textContent) || a.i - b.i)
+        .map(e => e.row);
+    }
+    rows.forEach(row => { row.style.display = 'none'; });
+
+    if (el('fltGroup').checked) {
+      const groups = new Map();
+      visible.forEach(row => {
+        if (!groups.has(row.dataset.org)) groups.set(row.dataset.org, []);
+        groups.get(row.dataset.org).push(row);
+      });
+      Array.from(groups.entries())
+        .sort((a, b) => a[1][0].dataset.orgName.localeCompare(b[1][0].dataset.orgName))
+        .forEach(([org, groupRows]) => {
+          const expired = groupRows.filter(r => r.dataset.expired === '1').length;
+          const header = document.createElement('tr');
+          header.className = 'group-row table-secondary';
+          header.style.cursor = 'pointer';
+          const cell = document.createElement('td');
+          cell.colSpan = headers.length;
+          cell.innerHTML = '<strong></strong> <span class="badge bg-secondary"></span> <span class="badge bg-danger"></span>';
+          cell.children[0].textContent = (collapsed.has(org) ? '\\u25B8 ' : '\\u25BE ') + groupRows[0].dataset.orgName;
+          cell.children[1].textContent = groupRows.length + ' device(s)';
+          cell.children[2].textContent = expired ? expired + ' expired' : '';
+          header.appendChild(cell);
+          header.addEventListener('click', () => {
+            collapsed.has(org) ? collapsed.delete(org) : collapsed.add(org);
+            render();
+          });
+          tbody.appendChild(header);
+          groupRows.forEach(row => {
+            row.style.display = collapsed.has(org) ? 'none' : '';
+            tbody.appendChild(row);
+          });
+        });
+    } else {
+      visible.forEach(row => {
+        row.style.display = '';
+        tbody.appendChild(row);
+      });
+    }
+
+    el('tableCount').textContent = 'Showing ' + visible.length + ' of ' + rows.length + ' device(s)';
+    const params = new URLSearchParams();
+    if (f.q) params.set('q', f.q);
+    if (f.status) params.set('status', f.status);
+    if (f.min !== '') params.set('min_days', f.min);
+    if (f.max !== '') params.set('max_days', f.max);
+    if (f.org) params.set('org', f.org);
+    if (sortIndex >= 0) {
+      params.set('sort', headers[sortIndex].dataset.key);
+      params.set('dir', sortDir);
+    }
+    downloads.forEach(link => {
+      const url = new URL(link.dataset.export, window.location.origin);
+      params.forEach((value, key) => url.searchParams.set(key, value));
+      link.href = url.pathname + url.search;
+    });
+  }
+
+  headers.forEach((th, index) => {
+    th.style.cursor = 'pointer';
+    th.title = 'Click to sort';
+    th.addEventListener('click', () => {
+      sortDir = (sortIndex === index && sortDir === 'asc') ? 'desc' : 'asc';
+      sortIndex = index;
+      headers.forEach(h => { h.textContent = h.textContent.replace(/ [\\u25B2\\u25BC]$/, ''); });
+      th.textContent += sortDir === 'asc' ? ' \\u25B2' : ' \\u25BC';
+      render();
+    });
+  });
+  ['fltSearch', 'fltMin', 'fltMax'].forEach(id => el(id).addEventListener('input', render));
+  ['fltStatus', 'fltOrg', 'fltGroup'].forEach(id => el(id).addEventListener('change', render));
+  render();
+})();
+</script>`;
 }
 
 /**
@@ -198,7 +445,8 @@ router.get('/warranty-check', requireLogin, (req, res) => {
     return res.redirect('/login');
   }
 
-  const missingPeplink = !user.peplink_client_id || !user.peplink_client_secret;
+  const profiles = listProfiles(db, user.email);
+  const missingPeplink = profiles.length === 0;
   if (missingPeplink) {
     console.log('DEBUG (Node): Missing Peplink creds for user', user.email);
   }
@@ -209,11 +457,15 @@ router.get('/warranty-check', requireLogin, (req, res) => {
   // We'll log to Node console that we're rendering the page
   console.log('DEBUG (Node): Rendering warranty-check GET for user:', user.email);
 
+  const storageNote = getHistorySettings(db, user.email).enabled
+    ? `<strong>Scan history is on:</strong> every completed scan is stored (encrypted) so you can compare runs. Change this or purge it on the <a href="/history" class="alert-link">history page</a>. To delete your account and associated credentials, visit your <a href="/panel" class="alert-link">control panel</a>.`
+    : `<strong>Important:</strong> No device data is stored by this tool. All data is retrieved via API and presented only on-screen and as a one-time download. If you navigate away from the completed scan page, the data will no longer be accessible until re-fetched. To delete your account and associated credentials, visit your <a href="/panel" class="alert-link">control panel</a>.`;
+
   const disabledAttr = missingPeplink ? 'disabled' : '';
   const alertHtml = missingPeplink ? `
 <div class="alert alert-warning">
-  <strong>Warning!</strong> Your Peplink InControl2 API credentials are missing. 
-  Please go to the <a href="/panel">Control Panel</a> and add them before running the check.
+  <strong>Warning!</strong> You have no Peplink InControl2 API credential profiles. 
+  Please go to the <a href="/panel">Control Panel</a> and add one before running the check.
 </div>
   ` : '';
 
@@ -250,24 +502,25 @@ router.get('/warranty-check', requireLogin, (req, res) => {
     <div class="card shadow-sm">
         <div class="card-body">
             <p class="card-text">
-                This tool uses your Peplink InControl2 API credentials to fetch all organizations linked to your Peplink ID. It identifies devices within those organizations that have 90 days or fewer remaining before their Care Plan expires.
+                This tool uses your Peplink InControl2 API credential profiles to fetch all organizations linked to each Peplink ID. It identifies devices within those organizations whose Care Plan expires within the chosen window (90 days by default), or lists every device in inventory mode.
             </p>
             <p class="card-text">
                 After the scan is complete, you will see a table displaying the organization, serial number, and expiration date for each device. You can also download this data in CSV format.
             </p>
                 <div class="alert alert-warning" role="alert">
-                    <strong>Important:</strong> No device data is stored by this tool. All data is retrieved via API and presented only on-screen and as a one-time download. If you navigate away from the completed scan page, the data will no longer be accessible until re-fetched. To delete your account and associated credentials, visit your <a href="/panel" class="alert-link">control panel</a>.
+                    ${storageNote}
                 </div>
+        <form method="POST" action="/warranty-check" id="scanForm" onsubmit="showSpinner(event)">
+        ${renderScanOptionsHTML(user, profiles)}
+        </form>
                 <div class="d-grid gap-2 d-md-flex justify-content-md-end">
-        <form method="POST" action="/warranty-check" onsubmit="showSpinner(event)">
-        <button type="submit" class="btn btn-primary me-md-2" id="checkBtn" ${disabledAttr}>
+        <button type="submit" form="scanForm" class="btn btn-primary me-md-2" id="checkBtn" ${disabledAttr}>
         Run Warranty Check
         <span class="spinner-border spinner-border-sm" role="status" aria-hidden="true" id="spinner"></span>
         </button>
-        </form>
         <br/>
         <form action="/panel">
-        <button type="submit" class="btn btn-primary" id="checkBtn">
+        <button type="submit" class="btn btn-primary">
         Control Panel
         </button>
         </form>
@@ -288,6 +541,57 @@ router.get('/warranty-check', requireLogin, (req, res) => {
       btn.disabled = true;
       console.log("Browser Debug: Spinner displayed, button disabled, form submitted.");
     }
+
+    // Load the org list on demand so the page itself never waits on InControl2
+    document.getElementById('loadOrgsBtn').addEventListener('click', function() {
+      const orgList = document.getElementById('orgList');
+      const params = new URLSearchParams();
+      document.querySelectorAll('.profile-check:checked').forEach(function(box) {
+        params.append('profile_ids', box.value);
+      });
+      const multiProfile = document.querySelectorAll('.profile-check').length > 1;
+      orgList.textContent = 'Loading organizations...';
+      fetch('/warranty-check/orgs?' + params.toString())
+        .then(resp => resp.json())
+        .then(data => {
+          if (!data.success) {
+            orgList.textContent = 'Could not load organizations: ' + data.error;
+            return;
+          }
+          orgList.textContent = '';
+          const hint = document.createElement('div');
+          hint.className = 'text-muted mb-1';
+          hint.textContent = 'Leave all unchecked to scan every organization.';
+          orgList.appendChild(hint);
+          data.errors.forEach(function(message) {
+            const warn = document.createElement('div');
+            warn.className = 'text-danger mb-1';
+            warn.textContent = message;
+            orgList.appendChild(warn);
+          });
+          data.orgs.forEach(function(org) {
+            const wrap = document.createElement('div');
+            wrap.className = 'form-check';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.className = 'form-check-input';
+            box.name = 'org_ids';
+            box.value = org.profileId + ':' + org.id;
+            box.id = 'org_' + org.profileId + '_' + org.id;
+            box.setAttribute('form', 'scanForm');
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = box.id;
+            label.textContent = multiProfile ? org.name + ' (' + org.profileName + ')' : org.name;
+            wrap.appendChild(box);
+            wrap.appendChild(label);
+            orgList.appendChild(wrap);
+          });
+        })
+        .catch(err => {
+          orgList.textContent = 'Could not load organizations: ' + err;
+        });
+    });
   </script>
   <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
 </body>
@@ -297,8 +601,36 @@ router.get('/warranty-check', requireLogin, (req, res) => {
   res.send(pageHTML);
 });
 
+// GET /warranty-check/orgs => list orgs the chosen profiles can reach
+router.get('/warranty-check/orgs', requireLogin, async (req, res) => {
+  const db = req.app.get('db');
+  const profiles = selectScanProfiles(listProfiles(db, req.session.userEmail), req.query);
+  if (!profiles.length) {
+    return res.json({ success: false, error: 'No credential profiles selected.' });
+  }
+
+  const orgs = [];
+  const errors = [];
+  await Promise.all(profiles.map(async (profile) => {
+    try {
+      for (const org of await listOrganizations(profile)) {
+        orgs.push({ profileId: profile.id, profileName: profile.name, id: org.id, name: org.name });
+      }
+    } catch (err) {
+      console.log('DEBUG (Node): error listing orgs =>', err);
+      errors.push(`${profile.name}: ${err.userMessage || err.message}`);
+    }
+  }));
+
+  if (!orgs.length && errors.length) {
+    return res.json({ success: false, error: errors.join(' ') });
+  }
+  orgs.sort((a, b) => (a.profileName.localeCompare(b.profileName)) || String(a.name).localeCompare(String(b.name)));
+  return res.json({ success: true, orgs, errors });
+});
+
 // POST /warranty-check => run the check
-router.post('/warranty-check', requireLogin, async (req, res) => {
+router.post('/warranty-check', requireLogin, (req, res) => {
   const db = req.app.get('db');
   const user = getDecryptedUser(db, req.session.userEmail);
   if (!user) {
@@ -306,8 +638,9 @@ router.post('/warranty-check', requireLogin, async (req, res) => {
     return res.redirect('/login');
   }
 
-  if (!user.peplink_client_id || !user.peplink_client_secret) {
-    console.log('DEBUG (Node): Missing peplink creds at post /warranty-check');
+  const profiles = selectScanProfiles(listProfiles(db, user.email), req.body);
+  if (!profiles.length) {
+    console.log('DEBUG (Node): No credential profiles selected at post /warranty-check');
     return res.send(`
 <!DOCTYPE html>
 <html>
@@ -318,7 +651,8 @@ router.post('/warranty-check', requireLogin, async (req, res) => {
 <body>
   <div class="container mt-5">
     <div class="alert alert-danger">
-      Missing Peplink credentials. <a href="/panel">Go to Control Panel</a> to add them.
+      No Peplink credential profile selected. <a href="/warranty-check">Go back</a> and choose one,
+      or <a href="/panel">go to the Control Panel</a> to add one.
     </div>
   </div>
 </body>
@@ -326,55 +660,265 @@ router.post('/warranty-check', requireLogin, async (req, res) => {
     `);
   }
 
-  console.log('DEBUG (Node): Running warranty check for user:', user.email);
+  const options = parseScanOptions(req.body);
+  if (req.body.save_default === 'on') {
+    db.prepare('UPDATE users SET scan_window_days = ?, scan_include_all = ? WHERE email = ?')
+      .run(options.windowDays, options.includeAll ? 1 : 0, user.email);
+  }
 
-  try {
-    const csv = await runWarrantyCheck(user.peplink_client_id, user.peplink_client_secret);
+  console.log('DEBUG (Node): Starting warranty check job for user:', user.email, options);
 
-    console.log('DEBUG (Node): CSV length =', csv.length);
+  const job = createJob(user.email, async (onProgress) => {
+    const result = await runProfilesCheck(profiles, { ...options, onProgress });
+    afterScan(db, user.email, result, 'manual');
+    return result;
+  });
+  req.session.lastJobId = job.id;
 
-    // store CSV in session
-    req.session.lastCsv = csv;
+  return res.redirect(`/warranty-check/jobs/${job.id}`);
+});
 
-    return res.redirect('/warranty-check/results');
-  } catch (err) {
-    console.log('DEBUG (Node): error from runWarrantyCheck =>', err);
-    return res.send(`
+// GET /warranty-check/jobs/:id => progress page, follows the job until it finishes
+router.get('/warranty-check/jobs/:id', requireLogin, (req, res) => {
+  const job = getJob(req.params.id, req.session.userEmail);
+  if (!job) {
+    return res.redirect('/warranty-check');
+  }
+
+  const header = getHeaderHTML(req);
+  const footer = getFooterHTML();
+
+  res.send(`
 <!DOCTYPE html>
 <html>
 <head>
-  <title>Warranty Check Error</title>
+  <title>Warranty Check Running</title>
   <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+  <style>
+    .btn-lm {
+      background-color: #2589BD;
+      color: #ffffff;
+      border: none;
+    }
+    .btn-lm:hover { opacity: 0.9; background-color: #2589BD; color: #ffffff; }
+    body {
+      color: #3b5563;
+    }
+  </style>
 </head>
-<body class="p-4">
+<body>
+  ${header}
   <div class="container">
-    <div class="alert alert-danger">
-      Error running warranty check: ${err.message}
+    <h1>Warranty Check Running</h1>
+    <div class="card shadow-sm">
+      <div class="card-body">
+        <p class="card-text">
+          <span class="spinner-border spinner-border-sm" role="status" aria-hidden="true" id="spinner"></span>
+          <span id="progressText">Starting scan...</span>
+        </p>
+        <div class="progress mb-3">
+          <div class="progress-bar" role="progressbar" id="progressBar" style="width: 0%"></div>
+        </div>
+        <div class="alert alert-danger d-none" id="errorBox"></div>
+        <a href="/warranty-check" class="btn btn-secondary d-none" id="backBtn">Back</a>
+      </div>
     </div>
-    <a href="/warranty-check" class="btn btn-secondary">Back</a>
   </div>
+  ${footer}
+  <script>
+    const jobId = ${JSON.stringify(job.id)};
+    const resultsUrl = '/warranty-check/results?job=' + encodeURIComponent(jobId);
+
+    function render(status) {
+      const p = status.progress;
+      if (p.orgsTotal > 0) {
+        document.getElementById('progressText').textContent =
+          'Org ' + p.orgsDone + ' of ' + p.orgsTotal + ', ' + p.devicesSeen + ' devices';
+        document.getElementById('progressBar').style.width =
+          Math.round(100 * p.orgsDone / p.orgsTotal) + '%';
+      }
+      if (status.status === 'done') {
+        window.location = resultsUrl;
+        return true;
+      }
+      if (status.status === 'failed') {
+        document.getElementById('spinner').style.display = 'none';
+        const errorBox = document.getElementById('errorBox');
+        errorBox.textContent = 'Error running warranty check: ' + status.error;
+        errorBox.classList.remove('d-none');
+        document.getElementById('backBtn').classList.remove('d-none');
+        return true;
+      }
+      return false;
+    }
+
+    // Fall back to polling the status endpoint if EventSource is unavailable or drops
+    function poll() {
+      fetch('/warranty-check/jobs/' + encodeURIComponent(jobId) + '/status')
+        .then(resp => resp.json())
+        .then(status => {
+          if (!render(status)) setTimeout(poll, 2000);
+        })
+        .catch(() => setTimeout(poll, 5000));
+    }
+
+    if (window.EventSource) {
+      const source = new EventSource('/warranty-check/jobs/' + encodeURIComponent(jobId) + '/events');
+      source.onmessage = function(e) {
+        if (render(JSON.parse(e.data))) source.close();
+      };
+      source.onerror = function() {
+        source.close();
+        poll();
+      };
+    } else {
+      poll();
+    }
+  </script>
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
 </body>
 </html>
-    `);
+  `);
+});
+
+// GET /warranty-check/jobs/:id/status => JSON job status (polling)
+router.get('/warranty-check/jobs/:id/status', requireLogin, (req, res) => {
+  const job = getJob(req.params.id, req.session.userEmail);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
   }
+  res.json(toJobStatus(job));
 });
 
-// GET /warranty-check/results => parse CSV into table, show
+// GET /warranty-check/jobs/:id/events => Server-Sent Events stream of job status
+router.get('/warranty-check/jobs/:id/events', requireLogin, (req, res) => {
+  const job = getJob(req.params.id, req.session.userEmail);
+  if (!job) {
+    return res.status(404).end();
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+
+  const send = (status) => res.write(`data: ${JSON.stringify(status)}\n\n`);
+  send(toJobStatus(job));
+  if (job.status !== 'running') {
+    return res.end();
+  }
+
+  // Comment lines keep idle proxies from closing the connection
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribe(job, (status) => {
+    send(status);
+    if (status.status !== 'running') {
+      res.end();
+    }
+  });
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// GET /warranty-check/results => render stored result as a table
 router.get('/warranty-check/results', requireLogin, (req, res) => {
+  // Coming from a finished job => it becomes the session's current result
+  if (req.query.job) {
+    const job = getJob(req.query.job, req.session.userEmail);
+    if (job && job.status === 'done') {
+      req.session.lastResult = job.result;
+    }
+    return res.redirect('/warranty-check/results');
+  }
+
   const header = getHeaderHTML(req);
   const footer = getFooterHTML();
 
-  const csv = req.session.lastCsv || '';
-  console.log('DEBUG (Node): /warranty-check/results => CSV length =', csv.length);
+  const result = req.session.lastResult || null;
+  const deviceCount = result ? result.devices.length : 0;
+  console.log('DEBUG (Node): /warranty-check/results => devices =', deviceCount);
+
+  const user = getDecryptedUser(req.app.get('db'), req.session.userEmail);
+  const columns = user ? user.result_columns : resolveColumns([]);
+  const tableHtml = toHtmlTable(result, columns);
+  let scopeHtml = '';
+  if (result) {
+    const scopeText = result.includeAll
+      ? 'All devices (inventory mode)'
+      : `Devices expiring within ${result.windowDays} days, or already expired`;
+    const orgText = result.orgFilter ? `, ${result.orgs.length} selected organization(s)` : '';
+    scopeHtml = `<p class="text-muted">${escapeHtml(scopeText + orgText)}</p>`;
+  }
+
+  // Orgs and profiles that failed are called out so their devices aren't
+  // assumed covered
+  let orgStatusHtml = '';
+  if (result) {
+    const failedProfiles = (result.profiles || []).filter(p => p.status !== 'ok');
+    const failedOrgCount = result.orgs.filter(org => org.status !== 'ok').length;
+    if (failedProfiles.length || failedOrgCount) {
+      const profileItems = failedProfiles.map(p =>
+        `<li><strong>${escapeHtml(p.name)}:</strong> ${escapeHtml(p.error)}</li>`).join('');
+      orgStatusHtml += `
+<div class="alert alert-warning">
+  ${failedProfiles.length ? `
+  <strong>Warning:</strong> ${failedProfiles.length} credential profile(s) could not be scanned at all:
+  <ul class="mb-2">${profileItems}</ul>` : ''}
+  ${failedOrgCount ? `
+  <strong>Warning:</strong> ${failedOrgCount} of ${result.orgs.length} organization(s) could not be scanned.
+  ${toOrgStatusTable(result, true)}` : ''}
+  Devices in these profiles/organizations are <strong>not</strong> included in the results below.
+  <form method="POST" action="/warranty-check/retry-failed" class="mt-2">
+    <button type="submit" class="btn btn-warning btn-sm">Retry failed only</button>
+  </form>
+</div>`;
+    }
+  }
+  if (result && result.orgs.length) {
+    orgStatusHtml += `
+<details class="mb-3">
+  <summary>Organizations scanned (${result.orgs.length})</summary>
+  ${toOrgStatusTable(result, false)}
+</details>`;
+  }
+
+  // Renewal cost estimate, once an admin has entered prices
+  let estimateHtml = '';
+  const terms = listTerms(req.app.get('db'));
+  if (result && result.devices.length && terms.length) {
+    const requested = parseInt(req.query.term, 10);
+    const term = terms.includes(requested) ? requested : (terms.includes(12) ? 12 : terms[0]);
+    const estimate = estimateRenewalCost(result.devices, listPrices(req.app.get('db')), term);
+    const termOptions = terms.map(t => `<option value="${t}" ${t === term ? 'selected' : ''}>${t} months</option>`).join('');
+    estimateHtml = `
+<details class="mb-3" ${req.query.term ? 'open' : ''}>
+  <summary>Renewal cost estimate</summary>
+  <form method="GET" action="/warranty-check/results" class="my-2">
+    <label>Term
+      <select name="term" class="form-select form-select-sm d-inline-block w-auto" onchange="this.form.submit()">${termOptions}</select>
+    </label>
+  </form>
+  ${toEstimateHtml(estimate, getCurrency())}
+</details>`;
+  }
 
-  // parse
-  const tableHtml = parseCsvToTable(csv);
-  // If tableHtml is a short string or "No data", that might indicate parse issues
+  // One-shot outcome of "Email me these results"
+  let emailNoticeHtml = '';
+  if (req.session.emailNotice) {
+    const notice = req.session.emailNotice;
+    emailNoticeHtml = `<div class="alert alert-${notice.ok ? 'success' : 'danger'}">${escapeHtml(notice.message)}</div>`;
+    delete req.session.emailNotice;
+  }
 
   // We'll embed a script log in the HTML
   const debugBrowserScript = `
 <script>
-  console.log("Browser Debug: Rendered results with CSV length = ${csv.length}");
+  console.log("Browser Debug: Rendered results with ${deviceCount} devices");
 </script>
   `;
 
@@ -397,31 +941,198 @@ router.get('/warranty-check/results', requireLogin, (req, res) => {
   ${header}
   <div class="container">
     <h1>Warranty Check Results</h1>
+    ${emailNoticeHtml}
+    ${scopeHtml}
+    ${result && result.orgs.length ? toDashboardHtml(result) : ''}
+    ${orgStatusHtml}
+    ${estimateHtml}
+    ${result && result.devices.length ? renderColumnChooserHTML(columns) + renderTableControlsHTML(result) : ''}
     ${tableHtml}
     <div class="mt-3">
-      <a href="/warranty-check/download" class="btn btn-lm">Download CSV</a>
+      <a href="/warranty-check/download" class="btn btn-lm" data-export="/warranty-check/download">Download CSV</a>
+      ${result && result.devices.length ? `
+      <a href="/warranty-check/download.xlsx" class="btn btn-lm" data-export="/warranty-check/download.xlsx">Download Excel</a>
+      <div class="btn-group">
+        <button type="button" class="btn btn-lm dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">Add to Calendar</button>
+        <ul class="dropdown-menu">
+          <li><a class="dropdown-item" href="/warranty-check/download.ics" data-export="/warranty-check/download.ics">One event per device (.ics)</a></li>
+          <li><a class="dropdown-item" href="/warranty-check/download.ics?group=org" data-export="/warranty-check/download.ics?group=org">One event per organization per day (.ics)</a></li>
+          <li><hr class="dropdown-divider"></li>
+          <li><a class="dropdown-item" href="/panel">Calendar subscription URL...</a></li>
+        </ul>
+      </div>
+      <div class="btn-group">
+        <button type="button" class="btn btn-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">JSON</button>
+        <ul class="dropdown-menu">
+          <li><a class="dropdown-item" href="/warranty-check/download?format=json" data-export="/warranty-check/download?format=json">Download JSON</a></li>
+          <li><a class="dropdown-item" href="/warranty-check/download?format=ndjson" data-export="/warranty-check/download?format=ndjson">Download NDJSON</a></li>
+        </ul>
+      </div>` : ''}
+      ${result ? `
+      <form method="POST" action="/warranty-check/email" class="d-inline">
+        <button type="submit" class="btn btn-lm">Email me these results</button>
+      </form>
+      <a href="/customers/notify" class="btn btn-secondary">Notify customers</a>
+      <a href="/history" class="btn btn-secondary">History</a>
+      <a href="/worklist" class="btn btn-secondary">Worklist</a>` : ''}
       <a href="/warranty-check" class="btn btn-secondary">Back</a>
     </div>
   </div>
   ${footer}
   ${debugBrowserScript}
+  ${result && result.devices.length ? renderTableScript() : ''}
   <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
 </body>
 </html>
   `);
 });
 
-// GET /warranty-check/download => send CSV as an attachment
-router.get('/warranty-check/download', requireLogin, (req, res) => {
-  const csv = req.session.lastCsv || '';
-  console.log('DEBUG (Node): /warranty-check/download => CSV length =', csv.length);
+// POST /warranty-check/retry-failed => re-scan failed orgs, merge into the current result
+router.post('/warranty-check/retry-failed', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const user = getDecryptedUser(db, req.session.userEmail);
+  const base = req.session.lastResult;
+  if (!user || !base) {
+    return res.redirect('/warranty-check');
+  }
 
-  if (!csv) {
+  // Profiles may have been edited or deleted since the scan; skip those gone
+  const profiles = listProfiles(db, user.email);
+  const targets = failedScanTargets(base)
+    .map(target => {
+      const profile = profiles.find(p => String(p.id) === String(target.profileId));
+      return profile ? { ...profile, orgIds: target.orgIds } : null;
+    })
+    .filter(Boolean);
+  if (!targets.length) {
+    return res.redirect('/warranty-check/results');
+  }
+
+  console.log('DEBUG (Node): Retrying failed orgs for user:', user.email,
+    targets.map(t => ({ profile: t.id, orgIds: t.orgIds })));
+
+  const options = { windowDays: base.windowDays, includeAll: base.includeAll };
+  const job = createJob(user.email, async (onProgress) => {
+    const retry = await runProfilesCheck(targets, { ...options, onProgress });
+    const merged = mergeScanResults(base, retry);
+    afterScan(db, user.email, merged, 'retry');
+    return merged;
+  });
+  req.session.lastJobId = job.id;
+
+  return res.redirect(`/warranty-check/jobs/${job.id}`);
+});
+
+// POST /warranty-check/email => email the current result (HTML summary + CSV) to the user
+router.post('/warranty-check/email', requireLogin, async (req, res) => {
+  const db = req.app.get('db');
+  const user = getDecryptedUser(db, req.session.userEmail);
+  const result = req.session.lastResult;
+  if (!user || !result) {
+    return res.redirect('/warranty-check');
+  }
+
+  const via = user.smtp_host || 'the system mail server';
+  try {
+    await sendResultsEmail(user.email, result, 'Results of your warranty check', user);
+    console.log('DEBUG (Node): Emailed results to', user.email, 'via', via);
+    req.session.emailNotice = { ok: true, message: `Results emailed to ${user.email}.` };
+  } catch (err) {
+    console.log('DEBUG (Node): Emailing results failed =>', err.message);
+    req.session.emailNotice = {
+      ok: false,
+      message: `Sending through ${via} failed: ${err.message}. Check your SMTP settings in the control panel.`
+    };
+  }
+  return res.redirect('/warranty-check/results');
+});
+
+// POST /warranty-check/columns => remember the chosen columns
+router.post('/warranty-check/columns', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const keys = resolveColumns(asArray(req.body.columns)).map(col => col.key);
+  db.prepare('UPDATE users SET result_columns = ? WHERE email = ?')
+    .run(JSON.stringify(keys), req.session.userEmail);
+  return res.redirect('/warranty-check/results');
+});
+
+// GET /warranty-check/download => send CSV (or JSON / NDJSON) as an attachment
+router.get('/warranty-check/download', requireLogin, (req, res) => {
+  const result = req.session.lastResult;
+  if (!result) {
     return res.redirect('/warranty-check');
   }
+
+  const user = getDecryptedUser(req.app.get('db'), req.session.userEmail);
+  const columns = user ? user.result_columns : resolveColumns([]);
+  const filtered = filterResult(result, parseResultFilters(req.query), columns);
+
+  if (req.query.format === 'json') {
+    res.setHeader('Content-Disposition', 'attachment; filename="warranty_results.json"');
+    return res.json(toResultJson(filtered));
+  }
+  if (req.query.format === 'ndjson') {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', 'attachment; filename="warranty_results.ndjson"');
+    return res.send(toNdjson(filtered));
+  }
+
+  const csv = toCsv(filtered, columns);
+  console.log('DEBUG (Node): /warranty-check/download => CSV length =', csv.length);
   res.setHeader('Content-Type', 'text/csv');
   res.setHeader('Content-Disposition', 'attachment; filename="warranty_results.csv"');
   res.send(csv);
 });
 
+// GET /warranty-check/results.json => the current session's result as JSON
+router.get('/warranty-check/results.json', requireLogin, (req, res) => {
+  const result = req.session.lastResult;
+  if (!result) {
+    return res.status(404).json({ error: 'No results yet. Run a warranty check first.' });
+  }
+
+  const user = getDecryptedUser(req.app.get('db'), req.session.userEmail);
+  const columns = user ? user.result_columns : resolveColumns([]);
+  res.json(toResultJson(filterResult(result, parseResultFilters(req.query), columns)));
+});
+
+// GET /warranty-check/download.ics => send an iCalendar file as an attachment
+router.get('/warranty-check/download.ics', requireLogin, (req, res) => {
+  const result = req.session.lastResult;
+  if (!result) {
+    return res.redirect('/warranty-check');
+  }
+
+  const user = getDecryptedUser(req.app.get('db'), req.session.userEmail);
+  const columns = user ? user.result_columns : resolveColumns([]);
+  const ics = toIcs(filterResult(result, parseResultFilters(req.query), columns), {
+    groupByOrg: req.query.group === 'org'
+  });
+  console.log('DEBUG (Node): /warranty-check/download.ics => length =', ics.length);
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="warranty_expirations.ics"');
+  res.send(ics);
+});
+
+// GET /warranty-check/download.xlsx => send an Excel workbook as an attachment
+router.get('/warranty-check/download.xlsx', requireLogin, async (req, res) => {
+  const result = req.session.lastResult;
+  if (!result) {
+    return res.redirect('/warranty-check');
+  }
+
+  const user = getDecryptedUser(req.app.get('db'), req.session.userEmail);
+  const columns = user ? user.result_columns : resolveColumns([]);
+  try {
+    const xlsx = await toXlsxBuffer(filterResult(result, parseResultFilters(req.query), columns), columns);
+    console.log('DEBUG (Node): /warranty-check/download.xlsx => bytes =', xlsx.length);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="warranty_results.xlsx"');
+    res.send(xlsx);
+  } catch (err) {
+    console.error('Building the Excel export failed:', err);
+    res.status(500).send('Could not build the Excel file.');
+  }
+});
+
 module.exports = router;
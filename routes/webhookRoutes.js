@@ -0,0 +1,202 @@
+/******************************************************************************
+ * routes/webhookRoutes.js
+ *
+ * Outbound webhooks (see webhooks.js). The list and add form are on /panel:
+ *   POST /panel/webhooks              => add a webhook
+ *   POST /panel/webhooks/:id/toggle   => enable / disable
+ *   POST /panel/webhooks/:id/test     => send a test ("ping") message now
+ *   POST /panel/webhooks/:id/delete   => delete it and its log
+ *   GET /panel/webhooks/log           => recent delivery attempts
+ ******************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { escapeHtml } = require('../resultFormats');
+const { asArray } = require('../credentialProfiles');
+const {
+  WEBHOOK_EVENTS, getWebhook, validateWebhook, createWebhook, setWebhookEnabled,
+  deleteWebhook, listDeliveries, sendTestWebhook
+} = require('../webhooks');
+
+function requireLogin(req, res, next) {
+  if (req.session && req.session.userEmail) {
+    return next();
+  }
+  return res.redirect('/login');
+}
+
+function getHeaderHTML(req) {
+  const isLoggedIn = !!req.session.userEmail;
+  const loginLogoutBtn = isLoggedIn
+    ? `<a href="/logout" class="btn btn-lm">Logout</a>`
+    : `<a href="/login" class="btn btn-lm">Login</a>`;
+
+  return `
+<nav class="navbar navbar-expand-lg navbar-light bg-light mb-4">
+  <div class="container-fluid">
+    <a class="navbar-brand" href="https://www.peplinkwarrantycheck.com">
+      <img src="https://f000.backblazeb2.com/file/llama-public/llama-logo.png" 
+           width="176px" height="80px" alt="Logo" class="d-inline-block align-text-top">
+    </a>
+    <button class="navbar-toggler" type="button" data-bs-toggle="collapse" 
+            data-bs-target="#navbarSupportedContent" aria-controls="navbarSupportedContent" 
+            aria-expanded="false" aria-label="Toggle navigation">
+      <span class="navbar-toggler-icon"></span>
+    </button>
+    <div class="collapse navbar-collapse" id="navbarSupportedContent">
+      <ul class="navbar-nav ms-auto mb-2 mb-lg-0">
+        <li class="nav-item"><a class="nav-link" href="/panel">Settings</a></li>
+      </ul>
+      ${loginLogoutBtn}
+    </div>
+  </div>
+</nav>
+  `;
+}
+
+function getFooterHTML() {
+  return `
+<footer class="mt-5 py-3 bg-light footer">
+  <div class="container text-center">
+    <p class="mb-1">&copy; 2024 Llama Networks LLC</p>
+    <small>
+      <a href="https://www.llamanetworks.com/privacy-policy" target="_blank">Privacy Policy</a> | 
+      <a href="https://www.llamanetworks.com/terms-of-use" target="_blank">Terms of Use</a> | 
+      <a href="https://www.llamanetworks.com/cookie-policy" target="_blank">Cookie Policy</a>
+    </small>
+  </div>
+</footer>
+  `;
+}
+
+/**
+ * renderPage(req, title, bodyHtml):
+ *   Full page (header, body, footer) in the same style as the panel.
+ */
+function renderPage(req, title, bodyHtml) {
+  const header = getHeaderHTML(req);
+  const footer = getFooterHTML();
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+  <style>
+    .btn-lm {
+      background-color: #2589BD;
+      color: #ffffff;
+      border: none;
+    }
+    .btn-lm:hover {
+      opacity: 0.9;
+      background-color: #2589BD;
+      color: #ffffff;
+    }
+    body {
+      color: #3b5563;
+    }
+    .btn-delete {
+      background-color: #d9534f;
+      color: #ffffff;
+      border: none;
+    }
+  </style>
+</head>
+<body>
+  ${header}
+  <div class="container">
+    ${bodyHtml}
+  </div>
+  ${footer}
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * renderError(req, message): the "nothing saved" page.
+ */
+function renderError(req, message) {
+  return renderPage(req, 'Webhook Not Saved', `
+    <div class="alert alert-danger">${escapeHtml(message)}</div>
+    <p>Nothing was saved.</p>
+    <a href="/panel" class="btn btn-secondary">Back to Control Panel</a>`);
+}
+
+router.post('/panel/webhooks', requireLogin, (req, res) => {
+  const events = asArray(req.body.events);
+  const { fields, error } = validateWebhook({ ...req.body, events });
+  if (error) {
+    return res.send(renderError(req, error));
+  }
+  createWebhook(req.app.get('db'), req.session.userEmail, fields);
+  console.log('DEBUG (Node): webhook added for', req.session.userEmail, fields.format, fields.events);
+  res.redirect('/panel#webhooks');
+});
+
+router.post('/panel/webhooks/:id/toggle', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const webhook = getWebhook(db, req.session.userEmail, req.params.id);
+  if (webhook) {
+    setWebhookEnabled(db, req.session.userEmail, webhook.id, !webhook.enabled);
+  }
+  res.redirect('/panel#webhooks');
+});
+
+router.post('/panel/webhooks/:id/test', requireLogin, async (req, res) => {
+  const db = req.app.get('db');
+  const webhook = getWebhook(db, req.session.userEmail, req.params.id);
+  if (!webhook) {
+    return res.redirect('/panel#webhooks');
+  }
+
+  let outcome;
+  try {
+    outcome = await sendTestWebhook(db, req.session.userEmail, webhook);
+  } catch (err) {
+    console.error('Error sending test webhook:', err);
+    outcome = { ok: false, error: 'the delivery could not be recorded.' };
+  }
+  const message = outcome.ok
+    ? `<div class="alert alert-success">Test message delivered to ${escapeHtml(webhook.name)} (HTTP ${outcome.httpStatus}).</div>`
+    : `<div class="alert alert-danger">Delivery to ${escapeHtml(webhook.name)} failed: ${escapeHtml(outcome.error)}</div>`;
+
+  res.send(renderPage(req, 'Test Webhook', `
+    <h1>Test Webhook</h1>
+    ${message}
+    <a href="/panel/webhooks/log" class="btn btn-secondary">Delivery Log</a>
+    <a href="/panel#webhooks" class="btn btn-secondary">Back to Control Panel</a>`));
+});
+
+router.post('/panel/webhooks/:id/delete', requireLogin, (req, res) => {
+  deleteWebhook(req.app.get('db'), req.session.userEmail, req.params.id);
+  res.redirect('/panel#webhooks');
+});
+
+router.get('/panel/webhooks/log', requireLogin, (req, res) => {
+  const eventLabels = new Map(WEBHOOK_EVENTS.map(event => [event.key, event.label]));
+  eventLabels.set('ping', 'Test');
+  const rows = listDeliveries(req.app.get('db'), req.session.userEmail).map(entry => `
+      <tr class="${entry.status === 'ok' ? '' : entry.status === 'retrying' ? 'table-warning' : 'table-danger'}">
+        <td>${escapeHtml(entry.sentAt.replace('T', ' ').substring(0, 19))}</td>
+        <td>${escapeHtml(entry.webhookName)}</td>
+        <td>${escapeHtml(eventLabels.get(entry.event) || entry.event)}</td>
+        <td>${entry.attempt}</td>
+        <td>${escapeHtml(entry.status)}${entry.httpStatus ? ` (HTTP ${entry.httpStatus})` : ''}${entry.error ? `: ${escapeHtml(entry.error)}` : ''}</td>
+        <td>${entry.durationMs} ms</td>
+        <td><small class="text-muted">${escapeHtml(entry.deliveryId)}</small></td>
+      </tr>`).join('');
+
+  res.send(renderPage(req, 'Webhook Deliveries', `
+    <h1>Webhook Deliveries</h1>
+    <p class="text-muted">The latest 200 attempts. Failed deliveries are retried after 10 seconds, 1 minute and 5 minutes.</p>
+    ${rows ? `
+    <table class="table table-sm">
+      <thead><tr><th>When (UTC)</th><th>Webhook</th><th>Event</th><th>Attempt</th><th>Result</th><th>Time</th><th>Delivery ID</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : '<p class="text-muted">Nothing has been sent yet.</p>'}
+    <a href="/panel#webhooks" class="btn btn-secondary">Back to Control Panel</a>`));
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+/******************************************************************************
+ * routes/worklistRoutes.js
+ *
+ * Renewal worklist (see worklist.js):
+ *   GET /worklist               => items, filterable by status and assignee
+ *   POST /worklist/settings     => turn the worklist on/off
+ *   POST /worklist/sync         => apply the current result to the worklist
+ *   POST /worklist/:id          => update status / assignee / notes / due date
+ *   POST /worklist/:id/delete   => delete an item
+ ******************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { escapeHtml } = require('../resultFormats');
+const {
+  WORKLIST_STATUSES, OPEN_STATUSES, isWorklistEnabled, setWorklistEnabled,
+  listItems, getItem, updateItem, deleteItem, syncWorklist
+} = require('../worklist');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function requireLogin(req, res, next) {
+  if (req.session && req.session.userEmail) {
+    return next();
+  }
+  return res.redirect('/login');
+}
+
+function getHeaderHTML(req) {
+  const isLoggedIn = !!req.session.userEmail;
+  const loginLogoutBtn = isLoggedIn
+    ? `<a href="/logout" class="btn btn-lm">Logout</a>`
+    : `<a href="/login" class="btn btn-lm">Login</a>`;
+
+  return `
+<nav class="navbar navbar-expand-lg navbar-light bg-light mb-4">
+  <div class="container-fluid">
+    <a class="navbar-brand" href="https://www.peplinkwarrantycheck.com">
+      <img src="https://f000.backblazeb2.com/file/llama-public/llama-logo.png" 
+           width="176px" height="80px" alt="Logo" class="d-inline-block align-text-top">
+    </a>
+    <button class="navbar-toggler" type="button" data-bs-toggle="collapse" 
+            data-bs-target="#navbarSupportedContent" aria-controls="navbarSupportedContent" 
+            aria-expanded="false" aria-label="Toggle navigation">
+      <span class="navbar-toggler-icon"></span>
+    </button>
+    <div class="collapse navbar-collapse" id="navbarSupportedContent">
+      <ul class="navbar-nav ms-auto mb-2 mb-lg-0">
+        <li class="nav-item"><a class="nav-link" href="/panel">Settings</a></li>
+      </ul>
+      ${loginLogoutBtn}
+    </div>
+  </div>
+</nav>
+  `;
+}
+
+function getFooterHTML() {
+  return `
+<footer class="mt-5 py-3 bg-light footer">
+  <div class="container text-center">
+    <p class="mb-1">&copy; 2024 Llama Networks LLC</p>
+    <small>
+      <a href="https://www.llamanetworks.com/privacy-policy" target="_blank">Privacy Policy</a> | 
+      <a href="https://www.llamanetworks.com/terms-of-use" target="_blank">Terms of Use</a> | 
+      <a href="https://www.llamanetworks.com/cookie-policy" target="_blank">Cookie Policy</a>
+    </small>
+  </div>
+</footer>
+  `;
+}
+
+/**
+ * renderPage(req, title, bodyHtml):
+ *   Full page (header, body, footer) in the same style as the panel.
+ */
+function renderPage(req, title, bodyHtml) {
+  const header = getHeaderHTML(req);
+  const footer = getFooterHTML();
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css">
+  <style>
+    .btn-lm {
+      background-color: #2589BD;
+      color: #ffffff;
+      border: none;
+    }
+    .btn-lm:hover {
+      opacity: 0.9;
+      background-color: #2589BD;
+      color: #ffffff;
+    }
+    body {
+      color: #3b5563;
+    }
+    .btn-delete {
+      background-color: #d9534f;
+      color: #ffffff;
+      border: none;
+    }
+  </style>
+</head>
+<body>
+  ${header}
+  <div class="container">
+    ${bodyHtml}
+  </div>
+  ${footer}
+  <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * filterQuery(query): the list filters as a query string, kept across saves.
+ */
+function filterQuery(query) {
+  const params = new URLSearchParams();
+  if (query.status) params.set('status', String(query.status));
+  if (query.assignee) params.set('assignee', String(query.assignee));
+  const qs = params.toString();
+  return qs ? `?${qs}` : '';
+}
+
+// GET /worklist => items
+router.get('/worklist', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  const enabled = isWorklistEnabled(db, email);
+  const statusFilter = String(req.query.status || 'open');
+  const assigneeFilter = String(req.query.assignee || '').trim().toLowerCase();
+
+  const allItems = listItems(db, email);
+  const items = allItems.filter(item =>
+    (statusFilter === 'all' ||
+      (statusFilter === 'open' ? OPEN_STATUSES.includes(item.status) : item.status === statusFilter)) &&
+    (!assigneeFilter || item.assignee.toLowerCase().includes(assigneeFilter)));
+
+  const counts = WORKLIST_STATUSES.map(s =>
+    `${escapeHtml(s.label)}: <strong>${allItems.filter(item => item.status === s.key).length}</strong>`).join(' &middot; ');
+  const today = new Date().toISOString().substring(0, 10);
+
+  const rows = items.map(item => {
+    const statusOptions = WORKLIST_STATUSES.map(s =>
+      `<option value="${s.key}" ${s.key === item.status ? 'selected' : ''}>${escapeHtml(s.label)}</option>`).join('');
+    const overdue = item.dueDate && item.dueDate < today && OPEN_STATUSES.includes(item.status);
+    const renewedNote = item.autoClosed
+      ? `<br><small class="text-success">Renewed automatically, new expiry ${escapeHtml(item.newExpiryDate)}</small>`
+      : '';
+    return `
+      <tr>
+        <td>${escapeHtml(item.serialNumber)}</td>
+        <td>${escapeHtml(item.orgName)}</td>
+        <td class="${item.expiryDate < today ? 'text-danger' : ''}">${escapeHtml(item.expiryDate)}${renewedNote}</td>
+        <td><select name="status" form="item_${item.id}" class="form-select form-select-sm">${statusOptions}</select></td>
+        <td><input type="text" name="assignee" form="item_${item.id}" class="form-control form-control-sm"
+                   value="${escapeHtml(item.assignee)}"></td>
+        <td><input type="date" name="due_date" form="item_${item.id}"
+                   class="form-control form-control-sm ${overdue ? 'border-danger' : ''}" value="${escapeHtml(item.dueDate || '')}"></td>
+        <td><textarea name="notes" form="item_${item.id}" class="form-control form-control-sm" rows="1">${escapeHtml(item.notes)}</textarea></td>
+        <td class="text-nowrap">
+          <form id="item_${item.id}" method="POST" action="/worklist/${item.id}${escapeHtml(filterQuery(req.query))}" class="d-inline">
+            <button type="submit" class="btn btn-lm btn-sm">Save</button>
+          </form>
+          <form method="POST" action="/worklist/${item.id}/delete" class="d-inline"
+                onsubmit="return confirm('Delete this worklist item?');">
+            <button type="submit" class="btn btn-delete btn-sm">Delete</button>
+          </form>
+        </td>
+      </tr>`;
+  }).join('');
+
+  const filterOptions = [{ key: 'open', label: 'Open' }, { key: 'all', label: 'All' }]
+    .concat(WORKLIST_STATUSES)
+    .map(s => `<option value="${s.key}" ${s.key === statusFilter ? 'selected' : ''}>${escapeHtml(s.label)}</option>`)
+    .join('');
+
+  res.send(renderPage(req, 'Renewal Worklist', `
+    <h1>Renewal Worklist</h1>
+
+    <form method="POST" action="/worklist/settings" class="card card-body mb-3">
+      <div class="form-check">
+        <input class="form-check-input" type="checkbox" name="enabled" id="worklistEnabled" ${enabled ? 'checked' : ''}
+               onchange="this.form.submit()">
+        <label class="form-check-label" for="worklistEnabled">
+          Track expiring devices in a worklist (updated after every scan)
+        </label>
+      </div>
+      <small class="text-muted">
+        Each device in the expiry window gets an item, matched by serial number across scans.
+        When a later scan shows a new expiry date, its open item is closed as renewed.
+      </small>
+    </form>
+
+    ${enabled ? `
+    <form method="POST" action="/worklist/sync" class="mb-3">
+      <button type="submit" class="btn btn-secondary btn-sm" ${req.session.lastResult ? '' : 'disabled'}>
+        Update from current results
+      </button>
+    </form>` : ''}
+
+    <p>${counts}</p>
+
+    <form method="GET" action="/worklist" class="row g-2 mb-3 align-items-end">
+      <div class="col-md-3">
+        <label class="form-label">Status</label>
+        <select name="status" class="form-select">${filterOptions}</select>
+      </div>
+      <div class="col-md-3">
+        <label class="form-label">Assignee</label>
+        <input type="text" name="assignee" class="form-control" value="${escapeHtml(req.query.assignee || '')}">
+      </div>
+      <div class="col-md-2">
+        <button type="submit" class="btn btn-secondary">Filter</button>
+      </div>
+    </form>
+
+    ${rows ? `
+    <div class="table-responsive">
+      <table class="table table-sm align-middle">
+        <thead><tr><th>Serial</th><th>Organization</th><th>Expiry</th><th>Status</th><th>Assignee</th><th>Due</th><th>Notes</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>` : '<p class="text-muted">No matching items.</p>'}
+
+    <a href="/warranty-check" class="btn btn-secondary">Back to Warranty Check</a>`));
+});
+
+// POST /worklist/settings => enable/disable
+router.post('/worklist/settings', requireLogin, (req, res) => {
+  setWorklistEnabled(req.app.get('db'), req.session.userEmail, req.body.enabled === 'on');
+  res.redirect('/worklist');
+});
+
+// POST /worklist/sync => apply the session's current result now
+router.post('/worklist/sync', requireLogin, (req, res) => {
+  if (req.session.lastResult) {
+    const counts = syncWorklist(req.app.get('db'), req.session.userEmail, req.session.lastResult);
+    console.log('DEBUG (Node): Worklist sync for', req.session.userEmail, counts);
+  }
+  res.redirect('/worklist');
+});
+
+// POST /worklist/:id => update an item
+router.post('/worklist/:id', requireLogin, (req, res) => {
+  const db = req.app.get('db');
+  const email = req.session.userEmail;
+  const item = getItem(db, email, req.params.id);
+  const status = String(req.body.status || '');
+  const dueDate = String(req.body.due_date || '').trim();
+  if (item && WORKLIST_STATUSES.some(s => s.key === status) && (!dueDate || DATE_RE.test(dueDate))) {
+    updateItem(db, email, item.id, {
+      status,
+      assignee: String(req.body.assignee || '').trim(),
+      notes: String(req.body.notes || '').trim(),
+      dueDate
+    });
+  }
+  res.redirect(`/worklist${filterQuery(req.query)}`);
+});
+
+// POST /worklist/:id/delete => delete an item
+router.post('/worklist/:id/delete', requireLogin, (req, res) => {
+  deleteItem(req.app.get('db'), req.session.userEmail, req.params.id);
+  res.redirect('/worklist');
+});
+
+module.exports = router;
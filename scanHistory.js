@@ -0,0 +1,217 @@
+/******************************************************************************
+ * scanHistory.js
+ *
+ * Opt-in history of past scans, for comparing runs ("what changed since last
+ * month?"). Off by default: nothing is kept unless the user enables it in
+ * /history. Each run's full result is stored as encrypted JSON; only the
+ * headline counts are kept in the clear for the run list.
+ *
+ * Runs older than the user's retention period are pruned whenever a run is
+ * recorded, the settings change or the history is listed.
+ ******************************************************************************/
+const { encrypt, decrypt } = require('./cryptoUtils');
+const { summarizeResult } = require('./resultFormats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_CHOICES = [30, 90, 180, 365, 730];
+const DEFAULT_RETENTION_DAYS = 365;
+
+/**
+ * getHistorySettings(db, email): { enabled, retentionDays }
+ */
+function getHistorySettings(db, email) {
+  const row = db.prepare('SELECT history_enabled, history_retention_days FROM users WHERE email = ?').get(email);
+  return {
+    enabled: !!(row && row.history_enabled),
+    retentionDays: (row && row.history_retention_days) || DEFAULT_RETENTION_DAYS
+  };
+}
+
+/**
+ * saveHistorySettings(db, email, settings): settings = { enabled, retentionDays }
+ */
+function saveHistorySettings(db, email, settings) {
+  db.prepare('UPDATE users SET history_enabled = ?, history_retention_days = ? WHERE email = ?')
+    .run(settings.enabled ? 1 : 0, settings.retentionDays, email);
+  pruneHistory(db, email);
+}
+
+/**
+ * pruneHistory(db, email): drops runs older than the retention period.
+ */
+function pruneHistory(db, email) {
+  const { retentionDays } = getHistorySettings(db, email);
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+  db.prepare('DELETE FROM scan_history WHERE user_email = ? AND created_at < ?').run(email, cutoff);
+}
+
+/**
+ * purgeHistory(db, email): deletes every stored run.
+ */
+function purgeHistory(db, email) {
+  db.prepare('DELETE FROM scan_history WHERE user_email = ?').run(email);
+}
+
+/**
+ * recordScan(db, email, result, source):
+ *   Stores a finished scan if the user has history enabled. source is
+ *   'manual', 'retry', 'scheduled' or 'api'. Returns the run id, or null.
+ */
+function recordScan(db, email, result, source) {
+  if (!getHistorySettings(db, email).enabled) {
+    return null;
+  }
+  const summary = summarizeResult(result);
+  const info = db.prepare(`
+    INSERT INTO scan_history
+      (user_email, created_at, source, window_days, include_all,
+       device_count, expired_count, failed_count, payload)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    email,
+    result.generatedAt,
+    source,
+    result.windowDays,
+    result.includeAll ? 1 : 0,
+    summary.deviceCount,
+    summary.expiredCount,
+    summary.failedOrgCount,
+    encrypt(JSON.stringify(result))
+  );
+  pruneHistory(db, email);
+  return info.lastInsertRowid;
+}
+
+/**
+ * listRuns(db, email): run metadata (no device data), newest first.
+ */
+function listRuns(db, email) {
+  pruneHistory(db, email);
+  return db.prepare(`
+    SELECT id, created_at, source, window_days, include_all, device_count, expired_count, failed_count
+    FROM scan_history WHERE user_email = ? ORDER BY created_at DESC, id DESC
+  `).all(email);
+}
+
+/**
+ * getRun(db, email, id): { id, createdAt, source, result }, or null.
+ */
+function getRun(db, email, id) {
+  const row = db.prepare('SELECT * FROM scan_history WHERE id = ? AND user_email = ?').get(id, email);
+  if (!row) return null;
+  try {
+    return { id: row.id, createdAt: row.created_at, source: row.source, result: JSON.parse(decrypt(row.payload)) };
+  } catch (err) {
+    console.error(`Could not read scan history run ${row.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * getLatestRun(db, email): the most recent run (see getRun), or null.
+ */
+function getLatestRun(db, email) {
+  pruneHistory(db, email);
+  const row = db.prepare('SELECT id FROM scan_history WHERE user_email = ? ORDER BY created_at DESC, id DESC LIMIT 1')
+    .get(email);
+  return row ? getRun(db, email, row.id) : null;
+}
+
+/**
+ * deleteRun(db, email, id)
+ */
+function deleteRun(db, email, id) {
+  db.prepare('DELETE FROM scan_history WHERE id = ? AND user_email = ?').run(id, email);
+}
+
+/**
+ * indexBySerial(result):
+ *   serial => { serial_number, profile_name, org_name, profile_id, org_id,
+ *   warranty_expiry_date } for every device the scan saw. Results from before
+ *   inventory was recorded fall back to the devices in the window.
+ */
+function indexBySerial(result) {
+  const orgNames = new Map(result.orgs.map(org => [`${org.profileId}:${org.id}`, org]));
+  const index = new Map();
+  for (const device of result.inventory || result.devices) {
+    const org = orgNames.get(`${device.profile_id}:${device.org_id}`) || {};
+    index.set(device.serial_number, {
+      serial_number: device.serial_number,
+      profile_id: device.profile_id,
+      org_id: device.org_id,
+      profile_name: org.profileName || device.profile_name || '',
+      org_name: org.name || device.org_name || '',
+      warranty_expiry_date: device.warranty_expiry_date
+    });
+  }
+  return index;
+}
+
+/**
+ * diffScans(older, newer):
+ *   What changed between two scan results, matching devices by serial:
+ *     renewed       - seen in both, newer expiry date is later
+ *     newlyInWindow - in newer's window (not yet expired) but not in that
+ *                     window at the time of the older scan
+ *     expired       - expired in newer, not yet expired at the older scan
+ *     disappeared   - seen in older, gone from an org newer scanned fine
+ *   Each entry: { serial_number, profile_name, org_name, old_expiry, new_expiry }.
+ *   Orgs that failed in either scan, or weren't part of newer, are not
+ *   reported as disappeared.
+ */
+function diffScans(older, newer) {
+  const before = indexBySerial(older);
+  const after = indexBySerial(newer);
+  const windowDays = newer.windowDays;
+  const olderDay = older.generatedAt.substring(0, 10);
+  const newerDay = newer.generatedAt.substring(0, 10);
+  const olderCutoff = new Date(new Date(older.generatedAt).getTime() + windowDays * DAY_MS)
+    .toISOString().substring(0, 10);
+  const newerCutoff = new Date(new Date(newer.generatedAt).getTime() + windowDays * DAY_MS)
+    .toISOString().substring(0, 10);
+  const scannedOk = new Set(newer.orgs.filter(org => org.status === 'ok').map(org => `${org.profileId}:${org.id}`));
+
+  const entry = (device, oldDevice) => ({
+    serial_number: device.serial_number,
+    profile_name: device.profile_name,
+    org_name: device.org_name,
+    old_expiry: oldDevice ? oldDevice.warranty_expiry_date : '',
+    new_expiry: (after.get(device.serial_number) || {}).warranty_expiry_date || ''
+  });
+
+  const diff = { renewed: [], newlyInWindow: [], expired: [], disappeared: [] };
+  for (const device of after.values()) {
+    const old = before.get(device.serial_number);
+    const expiry = device.warranty_expiry_date;
+    if (old && expiry > old.warranty_expiry_date) {
+      diff.renewed.push(entry(device, old));
+    } else if (expiry < newerDay) {
+      if (!old || old.warranty_expiry_date >= olderDay) {
+        diff.expired.push(entry(device, old));
+      }
+    } else if (expiry <= newerCutoff && (!old || old.warranty_expiry_date > olderCutoff)) {
+      diff.newlyInWindow.push(entry(device, old));
+    }
+  }
+  if (newer.inventory) {
+    for (const old of before.values()) {
+      if (!after.has(old.serial_number) && scannedOk.has(`${old.profile_id}:${old.org_id}`)) {
+        diff.disappeared.push({ ...entry(old, old), new_expiry: '' });
+      }
+    }
+  }
+  return diff;
+}
+
+module.exports = {
+  RETENTION_CHOICES,
+  getHistorySettings,
+  saveHistorySettings,
+  purgeHistory,
+  recordScan,
+  listRuns,
+  getRun,
+  getLatestRun,
+  deleteRun,
+  diffScans
+};
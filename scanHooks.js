@@ -0,0 +1,37 @@
+/******************************************************************************
+ * scanHooks.js
+ *
+ * Everything that should happen after any scan finishes - from the web form,
+ * a "retry failed" run, a schedule or the API - lives here, so each entry point only
+ * has to call afterScan().
+ ******************************************************************************/
+const { recordScan } = require('./scanHistory');
+const { syncWorklist } = require('./worklist');
+const { notifyWebhooks } = require('./webhooks');
+
+/**
+ * afterScan(db, email, result, source):
+ *   source = 'manual' | 'retry' | 'scheduled' | 'api'. Never throws: a failing hook
+ *   is logged and must not turn a successful scan into a failed one.
+ */
+function afterScan(db, email, result, source) {
+  try {
+    recordScan(db, email, result, source);
+  } catch (err) {
+    console.error(`Recording scan history for ${email} failed:`, err);
+  }
+  try {
+    syncWorklist(db, email, result);
+  } catch (err) {
+    console.error(`Updating the renewal worklist for ${email} failed:`, err);
+  }
+  try {
+    notifyWebhooks(db, email, result);
+  } catch (err) {
+    console.error(`Sending webhooks for ${email} failed:`, err);
+  }
+}
+
+module.exports = {
+  afterScan
+};
@@ -0,0 +1,122 @@
+/******************************************************************************
+ * scanJobs.js
+ *
+ * In-memory registry of server-side warranty scan jobs. A POST starts a job
+ * and returns immediately; the browser then follows progress through the
+ * status endpoint or Server-Sent Events and is redirected to the results once
+ * the job finishes.
+ *
+ * Jobs live only in this process (nothing is written to disk) and are dropped
+ * JOB_TTL_MS after they finish.
+ ******************************************************************************/
+const uuid = require('uuid');
+
+const JOB_TTL_MS = 60 * 60 * 1000; // keep finished jobs for an hour
+
+const jobs = new Map();
+
+/**
+ * toJobStatus(job):
+ *   Public view of a job, safe to send to the browser.
+ */
+function toJobStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * notify(job):
+ *   Pushes the current status to every subscriber (SSE connections).
+ */
+function notify(job) {
+  const status = toJobStatus(job);
+  for (const listener of job.listeners) {
+    try {
+      listener(status);
+    } catch (err) {
+      console.error('Scan job listener error:', err);
+    }
+  }
+}
+
+/**
+ * createJob(userEmail, run):
+ *   Starts run(onProgress) in the background and returns the job record.
+ *   run must resolve to a scan result; onProgress accepts
+ *   { orgsTotal, orgsDone, devicesSeen }.
+ */
+function createJob(userEmail, run) {
+  const job = {
+    id: uuid.v4(),
+    userEmail,
+    status: 'running',
+    progress: { orgsTotal: 0, orgsDone: 0, devicesSeen: 0 },
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    listeners: new Set()
+  };
+  jobs.set(job.id, job);
+
+  const onProgress = (progress) => {
+    job.progress = { ...job.progress, ...progress };
+    notify(job);
+  };
+
+  Promise.resolve()
+    .then(() => run(onProgress))
+    .then(result => {
+      job.status = 'done';
+      job.result = result;
+    })
+    .catch(err => {
+      console.error(`Scan job ${job.id} failed:`, err);
+      job.status = 'failed';
+      // InControl2 client errors carry a friendlier message for the page
+      job.error = err.userMessage || err.message;
+    })
+    .then(() => {
+      job.finishedAt = new Date().toISOString();
+      notify(job);
+      job.listeners.clear();
+      setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+    });
+
+  return job;
+}
+
+/**
+ * getJob(id, userEmail):
+ *   Returns the job if it exists and belongs to userEmail, else null.
+ */
+function getJob(id, userEmail) {
+  const job = jobs.get(id);
+  if (!job || job.userEmail !== userEmail) {
+    return null;
+  }
+  return job;
+}
+
+/**
+ * subscribe(job, listener):
+ *   Calls listener(status) on every progress update until the job finishes.
+ *   Returns an unsubscribe function.
+ */
+function subscribe(job, listener) {
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  subscribe,
+  toJobStatus
+};
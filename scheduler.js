@@ -0,0 +1,172 @@
+/******************************************************************************
+ * scheduler.js
+ *
+ * In-process scheduler for recurring warranty scans. Schedules live in the
+ * scan_schedules table so they survive restarts; each has a next_run_at that
+ * a once-a-minute tick compares against the clock.
+ *
+ * Runs missed while the server was down are skipped, not caught up: on
+ * startup any overdue schedule is simply moved to its next future slot.
+ *
+ * Times are in the server's local time zone.
+ ******************************************************************************/
+const { runProfilesCheck } = require('./peplinkCheck');
+const { listProfiles } = require('./credentialProfiles');
+const { getUserSmtpSettings, sendResultsEmail } = require('./mailer');
+const { afterScan } = require('./scanHooks');
+
+const TICK_MS = 60 * 1000;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Schedule IDs with a run in progress, so a slow scan isn't started twice
+const running = new Set();
+
+/**
+ * computeNextRun(schedule, after):
+ *   The first run time strictly after `after` (a Date) for a schedule:
+ *     weekly  => every day_of_week (0 = Sunday) at hour:00
+ *     monthly => every day_of_month (1-28) at hour:00
+ */
+function computeNextRun(schedule, after) {
+  const next = new Date(after.getTime());
+  next.setMinutes(0, 0, 0);
+  next.setHours(schedule.hour);
+
+  if (schedule.frequency === 'monthly') {
+    next.setDate(schedule.day_of_month);
+    if (next <= after) {
+      next.setMonth(next.getMonth() + 1, schedule.day_of_month);
+    }
+  } else {
+    const daysAhead = (schedule.day_of_week - next.getDay() + 7) % 7;
+    next.setDate(next.getDate() + daysAhead);
+    if (next <= after) {
+      next.setDate(next.getDate() + 7);
+    }
+  }
+  return next;
+}
+
+/**
+ * describeSchedule(schedule):
+ *   Human-readable, e.g. "Weekly on Monday at 07:00".
+ */
+function describeSchedule(schedule) {
+  const time = `${String(schedule.hour).padStart(2, '0')}:00`;
+  if (schedule.frequency === 'monthly') {
+    return `Monthly on day ${schedule.day_of_month} at ${time}`;
+  }
+  return `Weekly on ${DAY_NAMES[schedule.day_of_week]} at ${time}`;
+}
+
+/**
+ * scheduleProfiles(db, schedule):
+ *   The credential profiles a schedule scans (all of the user's profiles
+ *   when none were chosen). Deleted profiles are silently dropped.
+ */
+function scheduleProfiles(db, schedule) {
+  const profiles = listProfiles(db, schedule.user_email);
+  const ids = JSON.parse(schedule.profile_ids || '[]').map(String);
+  return ids.length ? profiles.filter(p => ids.includes(String(p.id))) : profiles;
+}
+
+/**
+ * runSchedule(db, schedule):
+ *   Runs one scheduled scan now and emails the digest, through the owner's
+ *   own SMTP server if they have set one up. Records the outcome
+ *   on the schedule row. Only rejects if that update fails, so callers
+ *   should still attach a .catch().
+ */
+async function runSchedule(db, schedule) {
+  if (running.has(schedule.id)) return;
+  running.add(schedule.id);
+
+  let status = 'ok';
+  let error = null;
+  try {
+    const profiles = scheduleProfiles(db, schedule);
+    if (!profiles.length) {
+      throw new Error('No credential profiles to scan.');
+    }
+    const result = await runProfilesCheck(profiles, {
+      windowDays: schedule.window_days,
+      includeAll: !!schedule.include_all
+    });
+    afterScan(db, schedule.user_email, result, 'scheduled');
+    await sendResultsEmail(schedule.recipients || schedule.user_email, result,
+      `Scheduled scan: ${describeSchedule(schedule)}`, getUserSmtpSettings(db, schedule.user_email));
+    console.log(`Scheduled scan ${schedule.id} for ${schedule.user_email}: ${result.devices.length} devices, digest sent`);
+  } catch (err) {
+    status = 'failed';
+    error = err.userMessage || err.message;
+    console.error(`Scheduled scan ${schedule.id} for ${schedule.user_email} failed:`, err);
+  } finally {
+    running.delete(schedule.id);
+    db.prepare('UPDATE scan_schedules SET last_run_at = ?, last_status = ?, last_error = ? WHERE id = ?')
+      .run(new Date().toISOString(), status, error, schedule.id);
+  }
+}
+
+/**
+ * tick(db):
+ *   Starts every enabled schedule that is due. next_run_at is advanced
+ *   before the scan starts so a long scan can't be picked up twice.
+ */
+function tick(db) {
+  const now = new Date();
+  const due = db.prepare(`
+    SELECT * FROM scan_schedules
+    WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+  `).all(now.toISOString());
+
+  for (const schedule of due) {
+    db.prepare('UPDATE scan_schedules SET next_run_at = ? WHERE id = ?')
+      .run(computeNextRun(schedule, now).toISOString(), schedule.id);
+    runSchedule(db, schedule)
+      .catch(err => console.error(`Scheduled scan ${schedule.id} could not be recorded:`, err));
+  }
+}
+
+/**
+ * skipMissedRuns(db):
+ *   Moves any schedule whose next_run_at passed while the server was down to
+ *   its next future slot, without running it.
+ */
+function skipMissedRuns(db) {
+  const now = new Date();
+  const overdue = db.prepare(`
+    SELECT * FROM scan_schedules WHERE next_run_at IS NULL OR next_run_at < ?
+  `).all(now.toISOString());
+
+  for (const schedule of overdue) {
+    if (schedule.next_run_at) {
+      console.log(`Skipping missed scheduled scan ${schedule.id} (was due ${schedule.next_run_at})`);
+    }
+    db.prepare('UPDATE scan_schedules SET next_run_at = ? WHERE id = ?')
+      .run(computeNextRun(schedule, now).toISOString(), schedule.id);
+  }
+}
+
+/**
+ * startScheduler(db):
+ *   Called once from server.js after the DB is ready.
+ */
+function startScheduler(db) {
+  skipMissedRuns(db);
+  const timer = setInterval(() => {
+    try {
+      tick(db);
+    } catch (err) {
+      console.error('Scheduler tick failed:', err);
+    }
+  }, TICK_MS);
+  timer.unref();
+}
+
+module.exports = {
+  DAY_NAMES,
+  computeNextRun,
+  describeSchedule,
+  runSchedule,
+  startScheduler
+};
@@ -13,13 +13,27 @@ const express = require('express');
 const session = require('express-session');
 const Database = require('better-sqlite3');
 const path = require('path');
+const { migrateLegacyCredentials } = require('./credentialProfiles');
+const { startScheduler } = require('./scheduler');
+const { getFixtureSettings } = require('./incontrolFixtures');
 
 // Our route files
 const loginRoutes = require('./routes/loginRoutes');
 const panelRoutes = require('./routes/panelRoutes');
 const warrantyRoutes = require('./routes/warrantyRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const historyRoutes = require('./routes/historyRoutes');
+const worklistRoutes = require('./routes/worklistRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const apiRoutes = require('./routes/apiRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 
 const app = express();
+// The REST API parses its own request bodies, so it can answer malformed JSON
+// with a JSON error; it is mounted ahead of the parsers for the web pages
+app.use('/', apiRoutes);
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
@@ -48,6 +62,208 @@ db.exec(`
   )
 `);
 
+/**
+ * ensureColumn(table, column, type):
+ *   Adds a column to an existing table if it isn't there yet, so databases
+ *   created by older versions pick up new fields on startup.
+ */
+function ensureColumn(table, column, type) {
+  const columns = db.prepare(`PRAGMA table_info('${table}')`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+// Optional per-user InControl2 API base URL (InControl Virtual Appliance).
+// Superseded by credential_profiles; kept so older databases can migrate.
+ensureColumn('users', 'peplink_api_base_url', 'TEXT');
+
+// Per-user default scan options
+ensureColumn('users', 'scan_window_days', 'INTEGER');
+ensureColumn('users', 'scan_include_all', 'INTEGER DEFAULT 0');
+ensureColumn('users', 'history_enabled', 'INTEGER DEFAULT 0');
+ensureColumn('users', 'history_retention_days', 'INTEGER DEFAULT 365');
+ensureColumn('users', 'worklist_enabled', 'INTEGER DEFAULT 0');
+ensureColumn('users', 'result_columns', 'TEXT');
+
+// Calendar subscription URL (SHA-256 of the token; see calendarFeed.js)
+ensureColumn('users', 'calendar_token', 'TEXT');
+ensureColumn('users', 'calendar_token_created_at', 'TEXT');
+
+// Named InControl2 credential profiles (all fields encrypted)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS credential_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    name TEXT,
+    client_id TEXT,
+    client_secret TEXT,
+    api_base_url TEXT,
+    created_at TEXT,
+    updated_at TEXT
+  )
+`);
+migrateLegacyCredentials(db);
+
+// Recurring scans (see scheduler.js). profile_ids is a JSON array; empty = all.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS scan_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    name TEXT,
+    frequency TEXT,
+    day_of_week INTEGER,
+    day_of_month INTEGER,
+    hour INTEGER,
+    profile_ids TEXT,
+    window_days INTEGER,
+    include_all INTEGER DEFAULT 0,
+    recipients TEXT,
+    enabled INTEGER DEFAULT 1,
+    next_run_at TEXT,
+    last_run_at TEXT,
+    last_status TEXT,
+    last_error TEXT,
+    created_at TEXT
+  )
+`);
+
+// Per-customer notices: org => contact emails + template, and what was sent
+// (org_name, emails, template and recipients are encrypted)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS customer_contacts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    profile_id TEXT NOT NULL,
+    org_id TEXT NOT NULL,
+    org_name TEXT,
+    emails TEXT,
+    template TEXT,
+    updated_at TEXT,
+    UNIQUE (user_email, profile_id, org_id)
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS notice_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    profile_id TEXT,
+    org_id TEXT,
+    org_name TEXT,
+    recipients TEXT,
+    device_count INTEGER,
+    status TEXT,
+    error TEXT,
+    sent_at TEXT
+  )
+`);
+
+// Opt-in scan history (payload = encrypted JSON of the whole result)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS scan_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    created_at TEXT,
+    source TEXT,
+    window_days INTEGER,
+    include_all INTEGER,
+    device_count INTEGER,
+    expired_count INTEGER,
+    failed_count INTEGER,
+    payload TEXT
+  )
+`);
+db.exec('CREATE INDEX IF NOT EXISTS idx_scan_history_user ON scan_history (user_email, created_at)');
+
+// Renewal worklist, one row per tracked device + expiry date
+// (org_name, assignee and notes are encrypted)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS worklist_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    serial_number TEXT NOT NULL,
+    profile_id TEXT,
+    org_id TEXT,
+    org_name TEXT,
+    expiry_date TEXT,
+    status TEXT,
+    assignee TEXT,
+    notes TEXT,
+    due_date TEXT,
+    new_expiry_date TEXT,
+    auto_closed INTEGER DEFAULT 0,
+    created_at TEXT,
+    updated_at TEXT,
+    closed_at TEXT
+  )
+`);
+db.exec('CREATE INDEX IF NOT EXISTS idx_worklist_user_serial ON worklist_items (user_email, serial_number)');
+
+// Site-wide Care Plan price list (admin-edited, not per user)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS price_list (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    match_key TEXT NOT NULL COLLATE NOCASE,
+    term_months INTEGER NOT NULL,
+    price REAL NOT NULL,
+    updated_at TEXT,
+    UNIQUE (match_key, term_months)
+  )
+`);
+
+// Personal API tokens (SHA-256 of the token; name is encrypted)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    name TEXT,
+    scopes TEXT,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT,
+    created_at TEXT,
+    last_used_at TEXT
+  )
+`);
+
+// Outbound webhooks, every delivery attempt, and each user's last scan
+// snapshot for working out what changed (name, url, secret and snapshot
+// are encrypted)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    name TEXT,
+    url TEXT,
+    format TEXT,
+    events TEXT,
+    secret TEXT,
+    enabled INTEGER DEFAULT 1,
+    created_at TEXT
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER,
+    user_email TEXT NOT NULL,
+    delivery_id TEXT,
+    event TEXT,
+    attempt INTEGER,
+    status TEXT,
+    http_status INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    sent_at TEXT
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhook_snapshots (
+    user_email TEXT PRIMARY KEY,
+    snapshot TEXT,
+    updated_at TEXT
+  )
+`);
+
 console.log("DEBUG: users table columns:", db.prepare("PRAGMA table_info('users')").all());
 
 // Make db accessible
@@ -57,6 +273,13 @@ app.set('db', db);
 app.use('/', loginRoutes);
 app.use('/', panelRoutes);
 app.use('/', warrantyRoutes);
+app.use('/', scheduleRoutes);
+app.use('/', customerRoutes);
+app.use('/', historyRoutes);
+app.use('/', worklistRoutes);
+app.use('/', adminRoutes);
+app.use('/', calendarRoutes);
+app.use('/', webhookRoutes);
 
 // GET / => cover page
 app.get('/', (req, res) => {
@@ -162,7 +385,26 @@ app.get('/', (req, res) => {
   res.send(pageHTML);
 });
 
+// Read PEPLINK_FIXTURE_MODE now, so a typo stops the server instead of the first scan.
+// Replay shows recorded customer data to whoever has the recorded client ID,
+// so it also needs PEPLINK_FIXTURE_DEMO=true.
+const fixtureSettings = getFixtureSettings();
+if (fixtureSettings.mode === 'replay' && process.env.PEPLINK_FIXTURE_DEMO !== 'true') {
+  console.error('PEPLINK_FIXTURE_MODE=replay answers every scan from a recorded fixture instead of InControl2.');
+  console.error('Set PEPLINK_FIXTURE_DEMO=true as well to run a demo server this way. Refusing to start.');
+  process.exit(1);
+}
+if (fixtureSettings.mode) {
+  console.warn('*'.repeat(78));
+  console.warn(`* WARNING: InControl2 fixture ${fixtureSettings.mode} mode, using ${fixtureSettings.file}`);
+  console.warn(fixtureSettings.mode === 'replay'
+    ? '* Scans show RECORDED data, not live InControl2 data. For demos and testing only.'
+    : '* Every InControl2 response (org and device data) is saved to disk. For testing only.');
+  console.warn('*'.repeat(78));
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
+  startScheduler(db);
 });
@@ -0,0 +1,585 @@
+/******************************************************************************
+ * webhooks.js
+ *
+ * Outbound webhooks: after each scan (see scanHooks.js) a user's enabled
+ * webhooks are sent the events they subscribe to:
+ *   scan.completed         - every scan
+ *   devices.entered_window - devices newly inside the expiry window
+ *   devices.expired        - devices whose warranty expired since last scan
+ * The last two compare each org with the last time it was scanned (a small
+ * per-org snapshot kept here, independent of scan history). Scans only
+ * update the orgs they read successfully, so an org-filtered scan or a
+ * failed org doesn't disturb the others' baseline; the first successful
+ * scan of an org only sets its baseline. Orgs of deleted credential
+ * profiles, and orgs not scanned within the user's history retention
+ * period, are dropped from the snapshot.
+ *
+ * Each webhook has a payload format - generic JSON (the versioned result
+ * schema plus "event"), a Slack message or a Microsoft Teams Adaptive Card -
+ * and its own secret. Requests carry
+ *   X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and
+ *   X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>")
+ * Failed deliveries (network errors, timeouts, 429 and 5xx) are retried
+ * after WEBHOOK_RETRY_DELAYS_MS; every attempt is written to the delivery
+ * log. Names, URLs, secrets and the snapshot are encrypted at rest.
+ *
+ * Webhooks may not point at loopback, private (RFC 1918), link-local or
+ * other internal addresses, or they could be used to probe the server's
+ * network. Hosts are checked when saved and again, after DNS resolution,
+ * on every delivery. WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts this for
+ * deployments that post to internal chat servers.
+ ******************************************************************************/
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const uuid = require('uuid');
+const { encrypt, decrypt } = require('./cryptoUtils');
+const { toResultJson } = require('./resultFormats');
+const { diffScans, getHistorySettings } = require('./scanHistory');
+const { listProfiles } = require('./credentialProfiles');
+
+const WEBHOOK_FORMATS = [
+  { key: 'json', label: 'Generic JSON' },
+  { key: 'slack', label: 'Slack' },
+  { key: 'teams', label: 'Microsoft Teams' }
+];
+const WEBHOOK_EVENTS = [
+  { key: 'scan.completed', label: 'Every scan' },
+  { key: 'devices.entered_window', label: 'Devices entered the expiry window' },
+  { key: 'devices.expired', label: 'Devices expired' }
+];
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Delay before each retry; one attempt plus these = 4 attempts in all
+const WEBHOOK_RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Errors a retry can't fix: a refused host, or a stored URL that won't parse
+const PERMANENT_ERROR_CODES = ['WEBHOOK_PRIVATE_HOST', 'ERR_INVALID_URL'];
+// Stored snapshot layout; older layouts are dropped and rebuilt
+const SNAPSHOT_VERSION = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Devices listed in a chat message before "... and N more"
+const CHAT_DEVICE_LIMIT = 10;
+
+/**
+ * isPrivateAddress(address):
+ *   True for an IP address the server shouldn't send webhooks to: loopback,
+ *   private, carrier-grade NAT, link-local, unspecified, multicast and the
+ *   IPv6 equivalents (including IPv4-mapped ones).
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+  }
+  return false;
+}
+
+/**
+ * privateHostsAllowed(): WEBHOOK_ALLOW_PRIVATE_HOSTS is set.
+ */
+function privateHostsAllowed() {
+  return String(process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS || '').toLowerCase() === 'true';
+}
+
+/**
+ * blockedHostError(hostname, address): the error for a refused host.
+ *   code WEBHOOK_PRIVATE_HOST marks it as not worth retrying.
+ */
+function blockedHostError(hostname, address) {
+  const err = new Error(address && address !== hostname
+    ? `${hostname} resolves to an internal address (${address}); webhooks can't be sent there.`
+    : `${hostname} is an internal address; webhooks can't be sent there.`);
+  err.code = 'WEBHOOK_PRIVATE_HOST';
+  return err;
+}
+
+/**
+ * checkHostname(hostname):
+ *   Null if webhooks may be sent to this URL hostname (as far as can be
+ *   told without DNS), else the reason.
+ */
+function checkHostname(hostname) {
+  if (privateHostsAllowed()) return null;
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    return blockedHostError(host).message;
+  }
+  return null;
+}
+
+/**
+ * safeLookup(hostname, options, callback):
+ *   dns.lookup() for the delivery agents that refuses internal addresses,
+ *   so a public name that resolves inward is caught at connect time.
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err || privateHostsAllowed()) {
+      return callback(err, address, family);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(blockedHostError(hostname, blocked));
+    }
+    return callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * decryptWebhook(row):
+ *   DB row => { id, name, url, format, events[], secret, enabled, createdAt }
+ */
+function decryptWebhook(row) {
+  return {
+    id: row.id,
+    name: decrypt(row.name),
+    url: decrypt(row.url),
+    format: row.format,
+    events: JSON.parse(row.events || '[]'),
+    secret: decrypt(row.secret),
+    enabled: !!row.enabled,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * listWebhooks(db, email): all of a user's webhooks, oldest first.
+ */
+function listWebhooks(db, email) {
+  return db.prepare('SELECT * FROM webhooks WHERE user_email = ? ORDER BY id')
+    .all(email)
+    .map(decryptWebhook);
+}
+
+/**
+ * getWebhook(db, email, id): one webhook, or null if it isn't theirs.
+ */
+function getWebhook(db, email, id) {
+  const row = db.prepare('SELECT * FROM webhooks WHERE id = ? AND user_email = ?').get(id, email);
+  return row ? decryptWebhook(row) : null;
+}
+
+/**
+ * validateWebhook(fields):
+ *   fields = { name, url, format, events[] } from the form.
+ *   Returns { fields, error }.
+ */
+function validateWebhook(fields) {
+  const name = String(fields.name || '').trim().substring(0, 100);
+  const url = String(fields.url || '').trim();
+  const format = WEBHOOK_FORMATS.some(f => f.key === fields.format) ? fields.format : null;
+  const events = WEBHOOK_EVENTS.map(e => e.key).filter(key => (fields.events || []).includes(key));
+
+  let error = null;
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    parsed = null;
+  }
+  if (!name) {
+    error = 'Give the webhook a name.';
+  } else if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    error = 'The URL must be a full http:// or https:// address.';
+  } else if (checkHostname(parsed.hostname)) {
+    error = checkHostname(parsed.hostname);
+  } else if (!format) {
+    error = 'Choose a payload format.';
+  } else if (!events.length) {
+    error = 'Choose at least one event.';
+  }
+  return { fields: { name, url, format, events }, error };
+}
+
+/**
+ * createWebhook(db, email, fields): fields validated; a secret is generated.
+ */
+function createWebhook(db, email, fields) {
+  const info = db.prepare(`
+    INSERT INTO webhooks (user_email, name, url, format, events, secret, enabled, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 1, ?)
+  `).run(
+    email,
+    encrypt(fields.name),
+    encrypt(fields.url),
+    fields.format,
+    JSON.stringify(fields.events),
+    encrypt(crypto.randomBytes(32).toString('hex')),
+    new Date().toISOString()
+  );
+  return info.lastInsertRowid;
+}
+
+/**
+ * setWebhookEnabled(db, email, id, enabled)
+ */
+function setWebhookEnabled(db, email, id, enabled) {
+  db.prepare('UPDATE webhooks SET enabled = ? WHERE id = ? AND user_email = ?').run(enabled ? 1 : 0, id, email);
+}
+
+/**
+ * deleteWebhook(db, email, id): the webhook and its delivery log.
+ */
+function deleteWebhook(db, email, id) {
+  db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ? AND user_email = ?').run(id, email);
+  db.prepare('DELETE FROM webhooks WHERE id = ? AND user_email = ?').run(id, email);
+}
+
+/**
+ * listDeliveries(db, email, limit): most recent attempts first, with the
+ *   webhook name.
+ */
+function listDeliveries(db, email, limit = 200) {
+  return db.prepare(`
+    SELECT d.*, w.name AS webhook_name FROM webhook_deliveries d
+    LEFT JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.user_email = ? ORDER BY d.id DESC LIMIT ?
+  `).all(email, limit).map(row => ({
+    webhookName: row.webhook_name ? decrypt(row.webhook_name) : '(deleted)',
+    deliveryId: row.delivery_id,
+    event: row.event,
+    attempt: row.attempt,
+    status: row.status,
+    httpStatus: row.http_status,
+    error: row.error,
+    durationMs: row.duration_ms,
+    sentAt: row.sent_at
+  }));
+}
+
+/**
+ * lastDeliveryStatuses(db, email): webhook id => status of its latest attempt.
+ */
+function lastDeliveryStatuses(db, email) {
+  const rows = db.prepare(`
+    SELECT webhook_id, status, sent_at FROM webhook_deliveries
+    WHERE id IN (SELECT MAX(id) FROM webhook_deliveries WHERE user_email = ? GROUP BY webhook_id)
+  `).all(email);
+  return new Map(rows.map(row => [row.webhook_id, { status: row.status, sentAt: row.sent_at }]));
+}
+
+/**
+ * describeDevice(device): one line for a chat message.
+ */
+function describeDevice(device) {
+  const days = device.is_expired
+    ? `expired ${device.warranty_expiry_date}`
+    : `expires ${device.warranty_expiry_date} (${device.days_until_expiry} days)`;
+  return `${device.org_name}: ${device.device_name || device.serial_number} [${device.serial_number}] ${days}`;
+}
+
+/**
+ * slackEscape(text): Slack's three control characters in message text.
+ */
+function slackEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * eventTitle(event, devices): headline text for an event.
+ */
+function eventTitle(event, devices) {
+  if (event === 'devices.entered_window') {
+    return `${devices.length} Peplink device(s) entered the warranty expiry window`;
+  }
+  if (event === 'devices.expired') {
+    return `${devices.length} Peplink device warrant${devices.length === 1 ? 'y has' : 'ies have'} expired`;
+  }
+  if (event === 'ping') {
+    return 'Test message from Peplink Warranty Checker';
+  }
+  return `Peplink warranty scan: ${devices.length} device(s) expiring or expired`;
+}
+
+/**
+ * buildPayload(format, event, result):
+ *   The request body for one event; result.devices holds just the devices
+ *   the event is about.
+ */
+function buildPayload(format, event, result) {
+  const devices = result.devices;
+  const title = eventTitle(event, devices);
+  const lines = devices.slice(0, CHAT_DEVICE_LIMIT).map(describeDevice);
+  if (devices.length > CHAT_DEVICE_LIMIT) {
+    lines.push(`... and ${devices.length - CHAT_DEVICE_LIMIT} more`);
+  }
+
+  if (format === 'slack') {
+    return {
+      text: title,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: title.substring(0, 150) } },
+        ...(lines.length ? [{ type: 'section', text: { type: 'mrkdwn', text: lines.map(line => `• ${slackEscape(line)}`).join('\n') } }] : []),
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `Scanned ${result.generatedAt}` }] }
+      ]
+    };
+  }
+  if (format === 'teams') {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', size: 'Medium', weight: 'Bolder', wrap: true, text: title },
+            ...lines.map(line => ({ type: 'TextBlock', wrap: true, spacing: 'Small', text: line })),
+            { type: 'TextBlock', isSubtle: true, size: 'Small', wrap: true, text: `Scanned ${result.generatedAt}` }
+          ]
+        }
+      }]
+    };
+  }
+  return { event, ...toResultJson(result) };
+}
+
+/**
+ * signPayload(secret, timestamp, body): 'sha256=<hex HMAC>'
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * logAttempt(db, webhook, email, delivery, fields)
+ */
+function logAttempt(db, webhook, email, delivery, fields) {
+  db.prepare(`
+    INSERT INTO webhook_deliveries
+      (webhook_id, user_email, delivery_id, event, attempt, status, http_status, error, duration_ms, sent_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    webhook.id, email, delivery.id, delivery.event, fields.attempt, fields.status,
+    fields.httpStatus || null, fields.error || null, fields.durationMs, new Date().toISOString()
+  );
+}
+
+/**
+ * deliver(db, email, webhook, event, result, retryDelays):
+ *   Sends one event, retrying as described in the header. Resolves with the
+ *   final { ok, httpStatus, error }; only rejects if the delivery log can't
+ *   be written.
+ */
+async function deliver(db, email, webhook, event, result, retryDelays = WEBHOOK_RETRY_DELAYS_MS) {
+  const delivery = { id: uuid.v4(), event };
+  const body = JSON.stringify(buildPayload(webhook.format, event, result));
+
+  for (let attempt = 1; ; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    const started = Date.now();
+    let outcome;
+    try {
+      const { hostname } = new URL(webhook.url);
+      if (checkHostname(hostname)) {
+        throw blockedHostError(hostname.replace(/^\[|\]$/g, ''));
+      }
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PeplinkWarrantyChecker-Webhook/1',
+          'X-Webhook-Event': event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        agent: (parsed) => parsed.protocol === 'http:' ? httpAgent : httpsAgent,
+        signal: controller.signal
+      });
+      outcome = res.ok
+        ? { ok: true, httpStatus: res.status }
+        : { ok: false, httpStatus: res.status, error: `HTTP ${res.status}`, retryable: RETRYABLE_STATUSES.includes(res.status) };
+    } catch (err) {
+      const error = err.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms`
+        : err.code === 'ERR_INVALID_URL' ? 'The webhook URL is not valid; delete the webhook and add it again.'
+        : err.message;
+      outcome = { ok: false, httpStatus: null, error, retryable: !PERMANENT_ERROR_CODES.includes(err.code) };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const willRetry = !outcome.ok && outcome.retryable && attempt <= retryDelays.length;
+    logAttempt(db, webhook, email, delivery, {
+      attempt,
+      status: outcome.ok ? 'ok' : (willRetry ? 'retrying' : 'failed'),
+      httpStatus: outcome.httpStatus,
+      error: outcome.error,
+      durationMs: Date.now() - started
+    });
+    if (!willRetry) {
+      return { ok: outcome.ok, httpStatus: outcome.httpStatus, error: outcome.error || null };
+    }
+    await new Promise(resolve => setTimeout(resolve, retryDelays[attempt - 1]).unref());
+
+    // Deleted (or its account deleted) while waiting => stop quietly
+    if (!db.prepare('SELECT 1 FROM webhooks WHERE id = ?').get(webhook.id)) {
+      return { ok: false, httpStatus: null, error: 'Webhook deleted before the retry.' };
+    }
+  }
+}
+
+/**
+ * sendTestWebhook(db, email, webhook):
+ *   Sends a 'ping' event with no devices, once, without retries.
+ */
+function sendTestWebhook(db, email, webhook) {
+  const result = { generatedAt: new Date().toISOString(), windowDays: 0, orgs: [], devices: [] };
+  return deliver(db, email, webhook, 'ping', result, []);
+}
+
+/**
+ * orgSnapshotsOf(result):
+ *   "<profileId>:<orgId>" => { generatedAt, devices: [{ serial_number,
+ *   warranty_expiry_date }] } for every org the scan read successfully.
+ */
+function orgSnapshotsOf(result) {
+  const snapshots = {};
+  for (const org of result.orgs.filter(o => o.status === 'ok')) {
+    snapshots[`${org.profileId}:${org.id}`] = { generatedAt: result.generatedAt, devices: [] };
+  }
+  for (const device of result.inventory || result.devices) {
+    const snapshot = snapshots[`${device.profile_id}:${device.org_id}`];
+    if (snapshot) {
+      snapshot.devices.push({ serial_number: device.serial_number, warranty_expiry_date: device.warranty_expiry_date });
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * pruneSnapshots(db, email, snapshots):
+ *   The orgSnapshotsOf() map without orgs whose credential profile has been
+ *   deleted or that haven't been scanned within the history retention
+ *   period (e.g. no longer visible to the credentials).
+ */
+function pruneSnapshots(db, email, snapshots) {
+  const profileIds = new Set(listProfiles(db, email).map(profile => String(profile.id)));
+  const oldest = new Date(Date.now() - getHistorySettings(db, email).retentionDays * DAY_MS).toISOString();
+  const kept = {};
+  for (const [key, snapshot] of Object.entries(snapshots)) {
+    if (profileIds.has(key.substring(0, key.indexOf(':'))) && snapshot.generatedAt >= oldest) {
+      kept[key] = snapshot;
+    }
+  }
+  return kept;
+}
+
+/**
+ * eventsForScan(previous, current, result):
+ *   event => the subset of result's devices it reports on. previous and
+ *   current are orgSnapshotsOf() maps; orgs without a previous snapshot
+ *   only get scan.completed. A device is only reported as expired if the
+ *   previous snapshot had it unexpired, not when it first appears expired.
+ */
+function eventsForScan(previous, current, result) {
+  const entered = new Set();
+  const expired = new Set();
+  for (const [key, snapshot] of Object.entries(current)) {
+    const before = previous[key];
+    if (!before) continue;
+    const [profileId, orgId] = key.split(':');
+    const asScan = (generatedAt, devices) => ({
+      generatedAt,
+      windowDays: result.windowDays,
+      orgs: [],
+      inventory: devices.map(device => ({ ...device, profile_id: profileId, org_id: orgId }))
+    });
+    const diff = diffScans(asScan(before.generatedAt, before.devices), asScan(snapshot.generatedAt, snapshot.devices));
+    diff.newlyInWindow.forEach(entry => entered.add(`${key}:${entry.serial_number}`));
+    diff.expired.filter(entry => entry.old_expiry).forEach(entry => expired.add(`${key}:${entry.serial_number}`));
+  }
+
+  const pick = (keys) => result.devices
+    .filter(device => keys.has(`${device.profile_id}:${device.org_id}:${device.serial_number}`));
+  const events = new Map([['scan.completed', result.devices]]);
+  if (pick(entered).length) events.set('devices.entered_window', pick(entered));
+  if (pick(expired).length) events.set('devices.expired', pick(expired));
+  return events;
+}
+
+/**
+ * notifyWebhooks(db, email, result):
+ *   Works out the events for this scan, updates the snapshot and starts the
+ *   deliveries in the background. Returns the number of deliveries started.
+ */
+function notifyWebhooks(db, email, result) {
+  const webhooks = listWebhooks(db, email).filter(webhook => webhook.enabled);
+  const row = db.prepare('SELECT snapshot FROM webhook_snapshots WHERE user_email = ?').get(email);
+
+  if (!webhooks.length) {
+    // Nothing to send; don't keep a snapshot for users without webhooks
+    if (row) db.prepare('DELETE FROM webhook_snapshots WHERE user_email = ?').run(email);
+    return 0;
+  }
+
+  let previous = {};
+  try {
+    const stored = row ? JSON.parse(decrypt(row.snapshot)) : null;
+    if (stored && stored.version === SNAPSHOT_VERSION) previous = stored.orgs;
+  } catch (err) {
+    console.error(`Could not read the webhook snapshot for ${email}:`, err.message);
+  }
+  const current = orgSnapshotsOf(result);
+  const merged = { version: SNAPSHOT_VERSION, orgs: pruneSnapshots(db, email, { ...previous, ...current }) };
+  db.prepare(`
+    INSERT INTO webhook_snapshots (user_email, snapshot, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT (user_email) DO UPDATE SET snapshot = excluded.snapshot, updated_at = excluded.updated_at
+  `).run(email, encrypt(JSON.stringify(merged)), new Date().toISOString());
+
+  let started = 0;
+  for (const [event, devices] of eventsForScan(previous, current, result)) {
+    for (const webhook of webhooks.filter(w => w.events.includes(event))) {
+      started++;
+      deliver(db, email, webhook, event, { ...result, devices })
+        .then(outcome => {
+          if (!outcome.ok) console.error(`Webhook ${webhook.id} (${event}) for ${email} failed: ${outcome.error}`);
+        })
+        .catch(err => console.error(`Webhook ${webhook.id} (${event}) for ${email} could not be delivered:`, err));
+    }
+  }
+  return started;
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  getWebhook,
+  validateWebhook,
+  createWebhook,
+  setWebhookEnabled,
+  deleteWebhook,
+  listDeliveries,
+  lastDeliveryStatuses,
+  sendTestWebhook,
+  notifyWebhooks
+};
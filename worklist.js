@@ -0,0 +1,205 @@
+/******************************************************************************
+ * worklist.js
+ *
+ * Renewal worklist: one item per expiring device (matched by serial number
+ * across scans) with a status, assignee, notes and due date.
+ *
+ * Opt-in like scan history. When enabled, every scan (see scanHooks.js):
+ *   - adds a "todo" item for each device in the expiry window (or already
+ *     expired) that has no item yet for its current expiry date
+ *   - closes open items as "renewed" when the device now shows a later
+ *     expiry date (a renewal was applied)
+ * Serial numbers are kept in the clear for matching; org names, assignees
+ * and notes are encrypted.
+ ******************************************************************************/
+const { encrypt, decrypt } = require('./cryptoUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WORKLIST_STATUSES = [
+  { key: 'todo', label: 'To do' },
+  { key: 'quoted', label: 'Quoted' },
+  { key: 'ordered', label: 'Ordered' },
+  { key: 'renewed', label: 'Renewed' },
+  { key: 'will_not_renew', label: 'Will not renew' }
+];
+const OPEN_STATUSES = ['todo', 'quoted', 'ordered'];
+
+/**
+ * isWorklistEnabled(db, email)
+ */
+function isWorklistEnabled(db, email) {
+  const row = db.prepare('SELECT worklist_enabled FROM users WHERE email = ?').get(email);
+  return !!(row && row.worklist_enabled);
+}
+
+/**
+ * setWorklistEnabled(db, email, enabled)
+ */
+function setWorklistEnabled(db, email, enabled) {
+  db.prepare('UPDATE users SET worklist_enabled = ? WHERE email = ?').run(enabled ? 1 : 0, email);
+}
+
+/**
+ * decryptItem(row):
+ *   DB row => { id, serialNumber, profileId, orgId, orgName, expiryDate,
+ *   status, assignee, notes, dueDate, newExpiryDate, autoClosed,
+ *   createdAt, updatedAt, closedAt }
+ */
+function decryptItem(row) {
+  return {
+    id: row.id,
+    serialNumber: row.serial_number,
+    profileId: row.profile_id,
+    orgId: row.org_id,
+    orgName: decrypt(row.org_name),
+    expiryDate: row.expiry_date,
+    status: row.status,
+    assignee: decrypt(row.assignee),
+    notes: decrypt(row.notes),
+    dueDate: row.due_date,
+    newExpiryDate: row.new_expiry_date,
+    autoClosed: !!row.auto_closed,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    closedAt: row.closed_at
+  };
+}
+
+/**
+ * listItems(db, email): all items, soonest expiry first.
+ */
+function listItems(db, email) {
+  return db.prepare('SELECT * FROM worklist_items WHERE user_email = ? ORDER BY expiry_date, id')
+    .all(email)
+    .map(decryptItem);
+}
+
+/**
+ * getItem(db, email, id): one item, or null if it isn't theirs.
+ */
+function getItem(db, email, id) {
+  const row = db.prepare('SELECT * FROM worklist_items WHERE id = ? AND user_email = ?').get(id, email);
+  return row ? decryptItem(row) : null;
+}
+
+/**
+ * updateItem(db, email, id, fields): fields = { status, assignee, notes, dueDate }
+ */
+function updateItem(db, email, id, fields) {
+  const now = new Date().toISOString();
+  const closing = !OPEN_STATUSES.includes(fields.status);
+  db.prepare(`
+    UPDATE worklist_items
+    SET status = ?, assignee = ?, notes = ?, due_date = ?, updated_at = ?,
+        closed_at = CASE WHEN ? THEN COALESCE(closed_at, ?) ELSE NULL END,
+        auto_closed = CASE WHEN ? THEN auto_closed ELSE 0 END
+    WHERE id = ? AND user_email = ?
+  `).run(
+    fields.status,
+    encrypt(fields.assignee),
+    encrypt(fields.notes),
+    fields.dueDate || null,
+    now,
+    closing ? 1 : 0,
+    now,
+    closing ? 1 : 0,
+    id,
+    email
+  );
+}
+
+/**
+ * deleteItem(db, email, id)
+ */
+function deleteItem(db, email, id) {
+  db.prepare('DELETE FROM worklist_items WHERE id = ? AND user_email = ?').run(id, email);
+}
+
+/**
+ * syncWorklist(db, email, result):
+ *   Applies a scan to the worklist (see the header). Only the latest item per
+ *   serial is considered. Does nothing unless the worklist is enabled.
+ *   Returns { added, renewed } counts.
+ */
+function syncWorklist(db, email, result) {
+  const counts = { added: 0, renewed: 0 };
+  if (!isWorklistEnabled(db, email)) {
+    return counts;
+  }
+
+  const now = new Date().toISOString();
+  const cutoff = new Date(new Date(result.generatedAt).getTime() + result.windowDays * DAY_MS)
+    .toISOString().substring(0, 10);
+  const orgNames = new Map(result.orgs.map(org => [`${org.profileId}:${org.id}`, org.name]));
+  const latest = new Map();
+  for (const row of db.prepare('SELECT * FROM worklist_items WHERE user_email = ? ORDER BY id').all(email)) {
+    latest.set(row.serial_number, row);
+  }
+
+  const insert = db.prepare(`
+    INSERT INTO worklist_items
+      (user_email, serial_number, profile_id, org_id, org_name, expiry_date,
+       status, assignee, notes, due_date, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'todo', '', '', ?, ?, ?)
+  `);
+  const closeRenewed = db.prepare(`
+    UPDATE worklist_items
+    SET status = 'renewed', new_expiry_date = ?, auto_closed = 1, closed_at = ?, updated_at = ?
+    WHERE id = ?
+  `);
+
+  // latest is kept current as items are added or closed, so a serial seen
+  // twice in one scan (two profiles sharing an org) gets a single item
+  db.transaction(() => {
+    for (const device of result.inventory || result.devices) {
+      const expiry = device.warranty_expiry_date;
+      const item = latest.get(device.serial_number);
+
+      if (item && expiry > item.expiry_date) {
+        // A later expiry means the warranty was renewed
+        if (OPEN_STATUSES.includes(item.status)) {
+          closeRenewed.run(expiry, now, now, item.id);
+          latest.set(device.serial_number, {
+            ...item, status: 'renewed', new_expiry_date: expiry, auto_closed: 1, closed_at: now, updated_at: now
+          });
+          counts.renewed++;
+        }
+      } else if (item) {
+        continue;
+      }
+
+      // New item for a device in the window without one for this expiry
+      if (expiry <= cutoff && (!item || expiry > item.expiry_date)) {
+        const { lastInsertRowid } = insert.run(
+          email,
+          device.serial_number,
+          String(device.profile_id),
+          String(device.org_id),
+          encrypt(orgNames.get(`${device.profile_id}:${device.org_id}`) || device.org_name || ''),
+          expiry,
+          expiry,
+          now,
+          now
+        );
+        latest.set(device.serial_number, {
+          id: lastInsertRowid, serial_number: device.serial_number, expiry_date: expiry, status: 'todo'
+        });
+        counts.added++;
+      }
+    }
+  })();
+  return counts;
+}
+
+module.exports = {
+  WORKLIST_STATUSES,
+  OPEN_STATUSES,
+  isWorklistEnabled,
+  setWorklistEnabled,
+  listItems,
+  getItem,
+  updateItem,
+  deleteItem,
+  syncWorklist
+};
@@ -0,0 +1,198 @@
+/******************************************************************************
+ * xlsxExport.js
+ *
+ * Excel workbook export of a scan result (exceljs). Unlike the CSV, cells
+ * keep their types: expiry dates are real dates, day counts are numbers and
+ * serial numbers stay text, so Excel doesn't reformat them.
+ *
+ * The workbook has a Summary sheet followed by one sheet per organization
+ * with devices. Device sheets have a frozen header row, an auto-filter and
+ * a conditional format that shades expired rows.
+ ******************************************************************************/
+const ExcelJS = require('exceljs');
+const { COLUMNS, formatCell, summarizeResult, summarizeUrgency } = require('./resultFormats');
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2589BD' } };
+const HEADER_FONT = { bold: true, color: { argb: 'FFFFFFFF' } };
+const EXPIRED_FILL = { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFDE2E2' } };
+const DATE_FORMAT = 'yyyy-mm-dd';
+
+/**
+ * sheetName(name, used):
+ *   A valid, unique worksheet name: Excel forbids : \ / ? * [ ], limits
+ *   names to 31 characters and compares them case-insensitively.
+ */
+function sheetName(name, used) {
+  const base = String(name || 'Organization').replace(/[:\\/?*[\]]/g, ' ').replace(/^'+|'+$/g, '').trim()
+    .substring(0, 31) || 'Organization';
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.substring(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * cellValue(key, value):
+ *   Typed cell value: dates as Date (UTC midnight), day counts as numbers,
+ *   everything else as the same text the CSV uses.
+ */
+function cellValue(key, value) {
+  if (key === 'warranty_expiry_date' && /^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+    return new Date(`${value}T00:00:00Z`);
+  }
+  if (key === 'days_until_expiry' && typeof value === 'number') {
+    return value;
+  }
+  return formatCell(key, value);
+}
+
+/**
+ * styleHeader(sheet): bold white-on-blue first row, frozen in place.
+ */
+function styleHeader(sheet) {
+  const header = sheet.getRow(1);
+  header.font = HEADER_FONT;
+  header.eachCell(cell => { cell.fill = HEADER_FILL; });
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+/**
+ * expiredRule(columns, lastRow):
+ *   Conditional formatting that shades expired rows, based on whichever of
+ *   the expiry date (compared with TODAY(), so it stays current), expired
+ *   flag or days columns is in the sheet. Null if none of them is.
+ */
+function expiredRule(columns, lastRow) {
+  const letter = (key) => {
+    const index = columns.findIndex(col => col.key === key);
+    return index < 0 ? null : String.fromCharCode(65 + index);
+  };
+  let formula = null;
+  if (letter('warranty_expiry_date')) {
+    formula = `AND($${letter('warranty_expiry_date')}2<>"",$${letter('warranty_expiry_date')}2<TODAY())`;
+  } else if (letter('is_expired')) {
+    formula = `$${letter('is_expired')}2="YES"`;
+  } else if (letter('days_until_expiry')) {
+    formula = `$${letter('days_until_expiry')}2<0`;
+  }
+  if (!formula) return null;
+
+  return {
+    ref: `A2:${String.fromCharCode(64 + columns.length)}${lastRow}`,
+    rules: [{ type: 'expression', priority: 1, formulae: [formula], style: { fill: EXPIRED_FILL } }]
+  };
+}
+
+/**
+ * addDeviceSheet(workbook, name, devices, columns)
+ */
+function addDeviceSheet(workbook, name, devices, columns) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = columns.map(col => ({
+    header: col.label,
+    key: col.key,
+    width: Math.max(12, col.label.length + 2),
+    style: col.key === 'warranty_expiry_date' ? { numFmt: DATE_FORMAT } : {}
+  }));
+  for (const device of devices) {
+    sheet.addRow(columns.map(col => cellValue(col.key, device[col.key])));
+  }
+  // Widen text columns to fit, within reason
+  sheet.columns.forEach(column => {
+    column.eachCell({ includeEmpty: false }, cell => {
+      if (typeof cell.value === 'string') {
+        column.width = Math.min(50, Math.max(column.width, cell.value.length + 2));
+      }
+    });
+  });
+
+  styleHeader(sheet);
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  const rule = devices.length ? expiredRule(columns, devices.length + 1) : null;
+  if (rule) sheet.addConditionalFormatting(rule);
+  return sheet;
+}
+
+/**
+ * addSummarySheet(workbook, result, orgs):
+ *   Scan details, urgency counts and one row per org, linking to its sheet.
+ *   orgs = [{ profile_name, org_name, sheet, devices }]
+ */
+function addSummarySheet(workbook, result, orgs) {
+  const summary = summarizeResult(result);
+  const urgency = summarizeUrgency(result, Infinity);
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [{ width: 32 }, { width: 32 }, { width: 12 }, { width: 12 }];
+
+  const scope = result.includeAll
+    ? 'All devices (inventory mode)'
+    : `Devices expiring within ${result.windowDays} days, or already expired`;
+  sheet.addRow(['Peplink Warranty Check']).font = { bold: true, size: 14 };
+  sheet.addRow(['Scanned', new Date(result.generatedAt)]).getCell(2).numFmt = 'yyyy-mm-dd hh:mm';
+  sheet.addRow(['Scope', scope]);
+  sheet.addRow(['Devices', summary.deviceCount]);
+  sheet.addRow(['Organizations not scanned', summary.failedOrgCount]);
+  sheet.addRow([]);
+  for (const bucket of urgency.buckets) {
+    sheet.addRow([bucket.label, bucket.count]);
+  }
+  if (urgency.laterCount) {
+    sheet.addRow([`After ${result.windowDays} days`, urgency.laterCount]);
+  }
+  sheet.addRow([]);
+
+  const headerRow = sheet.addRow(['Profile', 'Organization', 'Devices', 'Expired']);
+  headerRow.font = HEADER_FONT;
+  headerRow.eachCell(cell => { cell.fill = HEADER_FILL; });
+  for (const org of orgs) {
+    const row = sheet.addRow([
+      org.profile_name,
+      { text: org.org_name, hyperlink: `#'${org.sheet.replace(/'/g, "''")}'!A1` },
+      org.devices.length,
+      org.devices.filter(device => device.is_expired).length
+    ]);
+    row.getCell(2).font = { color: { argb: 'FF0563C1' }, underline: true };
+  }
+  return sheet;
+}
+
+/**
+ * toXlsxBuffer(result, columns):
+ *   The workbook as a Buffer. columns (default COLUMNS) are used for every
+ *   org sheet. Orgs are ordered by name; orgs without devices get no sheet.
+ */
+async function toXlsxBuffer(result, columns = COLUMNS) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Peplink Warranty Checker';
+  workbook.created = new Date(result.generatedAt);
+
+  const groups = new Map();
+  for (const device of result.devices) {
+    const key = `${device.profile_id}:${device.org_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, { profile_name: device.profile_name, org_name: device.org_name, devices: [] });
+    }
+    groups.get(key).devices.push(device);
+  }
+  const orgs = Array.from(groups.values())
+    .sort((a, b) => a.org_name.localeCompare(b.org_name) || a.profile_name.localeCompare(b.profile_name));
+
+  // Summary goes first, but needs the org sheet names for its links
+  const used = new Set(['summary']);
+  for (const org of orgs) {
+    org.sheet = sheetName(org.org_name, used);
+  }
+  addSummarySheet(workbook, result, orgs);
+  for (const org of orgs) {
+    addDeviceSheet(workbook, org.sheet, org.devices, columns);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  toXlsxBuffer
+};